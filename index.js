@@ -20,7 +20,7 @@ const BaseClient = require('./lib/base_client');
 const HttpClient = require('./lib/http_client');
 const FileClient = require('./lib/file_thingpedia_client');
 const DeviceFactory = require('./lib/factory');
-const { ImplementationError, UnsupportedError } = require('./lib/errors');
+const { ImplementationError, UnsupportedError, TimeoutError, AbortError, HttpError, TooManyRedirectsError, GraphQLError } = require('./lib/errors');
 const BaseEngine = require('./lib/base_engine');
 const BasePlatform = require('./lib/base_platform');
 const DeviceConfigUtils = require('./lib/device_factory_utils');
@@ -130,4 +130,9 @@ module.exports = {
     ImplementationError,
     UnsupportedError,
     OAuthError,
+    TimeoutError,
+    AbortError,
+    HttpError,
+    TooManyRedirectsError,
+    GraphQLError,
 };
@@ -55,6 +55,12 @@ const Availability = {
 /**
  * The base class of all Thingpedia device implementations.
  *
+ * The engine drives the lifecycle of each device: it calls {@link BaseDevice#start}
+ * when the device is loaded, {@link BaseDevice#stop} when the device is unloaded,
+ * and then {@link BaseDevice#remove} if the device was unloaded because the user
+ * removed it. Engines written before {@link BaseDevice#remove} was introduced do
+ * not call it, so devices should not rely on it to function correctly.
+ *
  * @extends events.EventEmitter
  */
 class BaseDevice extends events.EventEmitter {
@@ -179,6 +185,8 @@ class BaseDevice extends events.EventEmitter {
      * This includes OAuth 1.0 and OAuth 2.0 with custom code.
      * Standard uses of OAuth 2.0 should not override this method. Instead, they
      * should use the `@org.thingpedia.config.oauth2()` mixin, and override {@link BaseDevice.loadFromOAuth2}.
+     * Similarly, standard uses of OAuth 1.0a should use the `@org.thingpedia.config.oauth1()` mixin,
+     * and override {@link BaseDevice.loadFromOAuth1}.
      *
      * The method should return a tuple of:
      * - redirect uri (a String)
@@ -231,6 +239,10 @@ class BaseDevice extends events.EventEmitter {
      * This method is called by the OAuth 2.0 helpers (`@org.thingpedia.config.oauth2()`)
      * and should return a new device instance.
      *
+     * If the mixin is configured with an OpenID Connect `issuer`, the ID token in the response
+     * is validated before this method is called, and its claims are passed as the
+     * `id_token_claims` field of `extraData`.
+     *
      * @param {BaseEngine} engine - the shared Almond engine initializing this device
      * @param {string} accessToken - the OAuth access token
      * @param {string} [refreshToken] - the OAuth refresh token, if one is provided
@@ -241,6 +253,23 @@ class BaseDevice extends events.EventEmitter {
         throw new Error('not implemented');
     }
 
+    /* istanbul ignore next */
+    /**
+     * Configure this device using OAuth 1.0a
+     *
+     * This method is called by the OAuth 1.0a helpers (`@org.thingpedia.config.oauth1()`)
+     * and should return a new device instance.
+     *
+     * @param {BaseEngine} engine - the shared Almond engine initializing this device
+     * @param {string} accessToken - the OAuth access token
+     * @param {string} accessTokenSecret - the OAuth access token secret
+     * @param {Object} extraData - the other parameters in the response to the access token request
+     * @abstract
+    */
+    static async loadFromOAuth1(engine, accessToken, accessTokenSecret, extraData) {
+        throw new Error('not implemented');
+    }
+
     /* istanbul ignore next */
     /**
      * Configure this device using local discovery.
@@ -295,7 +324,13 @@ class BaseDevice extends events.EventEmitter {
      * Update the device state when the OAuth 2.0 token is refreshed.
      *
      * The default implementation will store the new access token and refresh token,
-     * and ignore other fields.
+     * and the expiration time of the access token (as a timestamp in milliseconds, in
+     * the `accessTokenExpires` state field) if the response includes `expires_in`.
+     * Other fields are ignored. The expiration time allows {@link Helpers.Http} to refresh
+     * the token before it expires.
+     *
+     * This method is also called when a device using `@org.thingpedia.config.oauth2_client_credentials()`
+     * obtains a new token, in which case there is no refresh token.
      *
      * @param {string} accessToken - the new access token
      * @param {string} [refreshToken] - the new refresh token, if one is provided
@@ -306,6 +341,10 @@ class BaseDevice extends events.EventEmitter {
         // if the refresh token is single use, we will get a new one when we use it
         if (refreshToken)
             this.state.refreshToken = refreshToken;
+        if (extraData && extraData.expires_in)
+            this.state.accessTokenExpires = Date.now() + Number(extraData.expires_in) * 1000;
+        else
+            delete this.state.accessTokenExpires;
 
         this.stateChanged();
     }
@@ -317,6 +356,11 @@ class BaseDevice extends events.EventEmitter {
      * The implementation should use the passed delegate to interact with the user, for
      * example to have the user enter a password or answer a question.
      *
+     * Devices using the `@org.thingpedia.config.oauth2()` mixin with the `device_authorization`
+     * parameter need not override this method: by default, they are configured with the
+     * OAuth 2.0 device authorization grant (RFC 8628), which shows a code to the user
+     * and completes through {@link BaseDevice.loadFromOAuth2}.
+     *
      * @param {BaseEngine} engine - the shared Almond engine initializing this device
      * @param {ConfigDelegate} delegate - a delegate object to interact with the user and complete configuration
      * @return {BaseDevice} the fully configured device instance
@@ -431,6 +475,26 @@ class BaseDevice extends events.EventEmitter {
         // nothing to do here, subclasses can override if they need to
     }
 
+    /* istanbul ignore next */
+    /**
+     * Clean up after the user removed the device.
+     *
+     * This method will be called after {@link BaseDevice#stop} when the user removes
+     * the device, but not when the engine is terminating. Implementations can use it
+     * to release resources held at the service, such as webhooks or access tokens.
+     *
+     * Engines must call this method only once, after the device is removed from the
+     * device database, and must not fail the removal if it rejects; older engines
+     * do not call it at all.
+     *
+     * Devices using the `@org.thingpedia.config.oauth2()` mixin with the `revoke`
+     * parameter revoke their tokens here, so the tokens are only revoked by engines
+     * that call this method.
+     */
+    async remove() {
+        // nothing to do here, subclasses can override if they need to
+    }
+
 
     // Obsolete, ignore
     get ownerTier() {
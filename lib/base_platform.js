@@ -83,6 +83,11 @@ class BasePlatform {
      *
      * This will return `null` if {@link BasePlatform#hasCapability}(cap) is `false`.
      *
+     * Besides the capabilities used by the Almond engine, this library recognizes
+     * the `http-middleware` capability: an array of {@link Helpers.Http~Middleware}
+     * functions that are applied to all HTTP requests made on behalf of this platform
+     * through {@link Helpers.Http}.
+     *
      * @param {string} cap - the capability name
      * @return {any|null} an interface implementing the given capability
      */
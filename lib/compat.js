@@ -29,6 +29,7 @@ function getParams(classDef) {
     switch (config.module) {
     case 'org.thingpedia.config.form':
     case 'org.thingpedia.config.basic_auth':
+    case 'org.thingpedia.config.digest_auth':
         if (config.in_params.length === 1) {
             let argMap = config.in_params[0].value;
             Object.entries(argMap.value).forEach(([name, type]) => {
@@ -36,6 +37,12 @@ function getParams(classDef) {
                 params[name] = null;
             });
         }
+        break;
+    case 'org.thingpedia.config.api_key':
+        // the key is entered by the user, unless it is in the manifest
+        if (!config.in_params.some((param) => param.name === 'api_key'))
+            params.api_key = null;
+        break;
     }
     return params;
 }
@@ -72,10 +79,14 @@ function getAuth(classDef) {
     case 'org.thingpedia.config.oauth2':
         auth.type = 'oauth2';
         break;
+    case 'org.thingpedia.config.oauth1':
     case 'org.thingpedia.config.custom_oauth':
+        // OAuth 1.0a goes through the same custom OAuth flow
         auth.type = 'custom_oauth';
         break;
     case 'org.thingpedia.config.basic_auth':
+    case 'org.thingpedia.config.digest_auth':
+        // digest auth is configured with a username and password, like basic auth
         auth.type = 'basic';
         break;
     case 'org.thingpedia.config.discovery.bluetooth':
@@ -92,6 +103,10 @@ function getAuth(classDef) {
     case 'org.thingpedia.config.builtin':
         auth.type = 'builtin';
         break;
+    case 'org.thingpedia.config.oauth2_client_credentials':
+        // the token is obtained without user interaction, so the device is configured like a config.none() device
+        auth.type = 'none';
+        break;
     default:
         auth.type = 'none';
     }
@@ -0,0 +1,72 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Base = require('./base');
+const ApiKeyAuth = require('../helpers/api_key_auth');
+const { getMixinArgs } = require('../utils');
+
+module.exports = class ApiKeyConfigMixin extends Base {
+    install(deviceClass) {
+        // add an "auth" getter to the device class (through the prototype)
+        // that returns the API key authentication, and expose it as the
+        // "api-key" interface
+        //
+        // the key is either in the manifest (and shared by all users, so the device
+        // is configured like a config.none() device), or it is entered by the
+        // user and stored in the device state
+        //
+        // Helpers.Http uses the interface when the device is passed as "useOAuth2",
+        // which is what the generic REST and RSS loaders do
+
+        const info = getMixinArgs(this.mixin);
+        const options = { location: info.location, name: info.name };
+
+        const states = new WeakMap;
+        Object.defineProperty(deviceClass.prototype, 'auth', {
+            configurable: true,
+            enumerable: true,
+            get() {
+                const key = info.api_key || this.state.api_key;
+                if (!key)
+                    return null;
+                let auth = states.get(this);
+                if (auth === undefined || auth.key !== key) {
+                    auth = new ApiKeyAuth(key, options);
+                    states.set(this, auth);
+                }
+                return auth;
+            }
+        });
+
+        const oldqueryInterface = deviceClass.prototype.queryInterface;
+        Object.defineProperty(deviceClass.prototype, 'queryInterface', {
+            value: function queryInterface(iface) {
+                if (iface === 'api-key')
+                    return this.auth;
+                else
+                    return oldqueryInterface ? oldqueryInterface.call(this, iface) : null;
+            },
+            configurable: true,
+            enumerable: false,
+            writable: true
+        });
+    }
+};
@@ -0,0 +1,49 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Base = require('./base');
+const DigestAuth = require('../helpers/digest_auth');
+
+module.exports = class DigestAuthConfigMixin extends Base {
+    install(deviceClass) {
+        // add an "auth" getter to the device class (through the prototype)
+        // that returns the Digest authentication state
+        //
+        // the state is passed as the "auth" option to Helpers.Http, which
+        // uses it to answer the challenges of the server; it is kept
+        // per device, so nonces can be reused across requests
+
+        const states = new WeakMap;
+        Object.defineProperty(deviceClass.prototype, 'auth', {
+            configurable: true,
+            enumerable: true,
+            get() {
+                let auth = states.get(this);
+                if (auth === undefined || auth.username !== this.state.username ||
+                    auth.password !== this.state.password) {
+                    auth = new DigestAuth(this.state.username, this.state.password);
+                    states.set(this, auth);
+                }
+                return auth;
+            }
+        });
+    }
+};
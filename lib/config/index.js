@@ -20,8 +20,12 @@
 "use strict";
 
 module.exports = {
+    'org.thingpedia.config.oauth1': require('./oauth1'),
     'org.thingpedia.config.oauth2': require('./oauth2'),
+    'org.thingpedia.config.oauth2_client_credentials': require('./oauth2_client_credentials'),
     'org.thingpedia.config.basic_auth': require('./basic_auth'),
+    'org.thingpedia.config.digest_auth': require('./digest_auth'),
+    'org.thingpedia.config.api_key': require('./api_key'),
 
     // everything else...
     'org.thingpedia.config.*': require('./base'),
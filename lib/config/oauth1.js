@@ -0,0 +1,87 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Base = require('./base');
+const Helpers = require('../helpers');
+const { getMixinArgs } = require('../utils');
+const BaseDevice = require('../base_device');
+
+function makeGenericOAuth1(kind, mixin, devclass) {
+    const info = getMixinArgs(mixin);
+
+    const runOAuth1 = Helpers.OAuth1({
+        kind: kind,
+        client_id: info.client_id,
+        client_secret: info.client_secret,
+        request_token: info.request_token,
+        authorize: info.authorize,
+        get_access_token: info.get_access_token,
+        signature_method: info.signature_method,
+        redirect_uri: info.redirect_uri
+    });
+
+    if (devclass.loadFromOAuth1 === BaseDevice.loadFromOAuth1) {
+        devclass.loadFromOAuth1 = async function loadFromOAuth1(engine, accessToken, accessTokenSecret, extraData) {
+            const obj = { kind: kind,
+                          accessToken: accessToken,
+                          accessTokenSecret: accessTokenSecret };
+            for (let name in extraData)
+                obj[name] = extraData[name];
+
+            if (info.get_profile) {
+                // the profile request must be signed too
+                const response = await Helpers.Http.get(info.get_profile, {
+                    auth: runOAuth1.getAuth(devclass, accessToken, accessTokenSecret),
+                    accept: 'application/json',
+                    platform: engine.platform
+                });
+                const profile = JSON.parse(response);
+
+                if (info.profile) {
+                    info.profile.forEach((p) => {
+                        obj[p] = profile[p];
+                    });
+                } else {
+                    obj.profile = profile;
+                }
+            }
+
+            return new devclass(engine, obj);
+        };
+    }
+
+    runOAuth1.install(devclass.prototype);
+    devclass.runOAuth2 = runOAuth1;
+}
+
+module.exports = class OAuth1ConfigMixin extends Base {
+    install(deviceClass) {
+        // OAuth 1.0a goes through the same loadFromCustomOAuth/completeCustomOAuth
+        // entry points as custom OAuth 2.0, which call runOAuth2
+        //
+        // as with the oauth2 mixin, devices that provide their own runOAuth2
+        // keep their custom behavior
+        if (!deviceClass.runOAuth2)
+            makeGenericOAuth1(this.kind, this.mixin, deviceClass);
+        else if (deviceClass.runOAuth2 && deviceClass.runOAuth2.install)
+            deviceClass.runOAuth2.install(deviceClass.prototype);
+    }
+};
@@ -33,26 +33,34 @@ function makeGenericOAuth(kind, mixin, devclass) {
                         accessToken: accessToken,
                         refreshToken: refreshToken };
             for (let name in extraData) {
-                if (name === 'access_token' || name === 'refresh_token' || name === 'expires_in')
+                if (name === 'access_token' || name === 'refresh_token' || name === 'expires_in' || name === 'id_token_claims')
                     continue;
                 obj[name] = extraData[name];
             }
+            if (extraData && extraData.expires_in)
+                obj.accessTokenExpires = Date.now() + Number(extraData.expires_in) * 1000;
 
-            if (info.get_profile) {
+            const setProfile = (profile) => {
+                if (info.profile) {
+                    info.profile.forEach((p) => {
+                        obj[p] = profile[p];
+                    });
+                } else {
+                    obj.profile = profile;
+                }
+            };
+
+            // with OpenID Connect, the profile is in the (already validated) ID token
+            if (extraData && extraData.id_token_claims) {
+                setProfile(extraData.id_token_claims);
+                return new devclass(engine, obj);
+            } else if (info.get_profile) {
                 var auth = 'Bearer ' + accessToken;
                 return Helpers.Http.get(info.get_profile, { auth: auth,
-                                                                   accept: 'application/json' })
+                                                            accept: 'application/json',
+                                                            platform: engine.platform })
                     .then((response) => {
-                        var profile = JSON.parse(response);
-
-                        if (info.profile) {
-                            info.profile.forEach((p) => {
-                                obj[p] = profile[p];
-                            });
-                        } else {
-                            obj.profile = profile;
-                        }
-
+                        setProfile(JSON.parse(response));
                         return new devclass(engine, obj);
                     });
             } else {
@@ -69,7 +77,11 @@ function makeGenericOAuth(kind, mixin, devclass) {
         get_access_token: info.get_access_token,
         scope: info.scope,
         set_state: !!info.set_state,
-        redirect_uri: info.redirect_uri
+        use_pkce: !!info.use_pkce,
+        redirect_uri: info.redirect_uri,
+        device_authorization: info.device_authorization,
+        revoke: info.revoke,
+        issuer: info.issuer
     });
     runOAuth2.install(devclass.prototype);
     devclass.runOAuth2 = runOAuth2;
@@ -101,5 +113,14 @@ module.exports = class OAuth2ConfigMixin extends Base {
             makeGenericOAuth(this.kind, this.mixin, deviceClass);
         else if (deviceClass.runOAuth2 && deviceClass.runOAuth2.install)
             deviceClass.runOAuth2.install(deviceClass.prototype);
+
+        // if the helper supports the device authorization grant, the device can also
+        // be configured interactively, without a browser
+        const runOAuth2 = deviceClass.runOAuth2;
+        if (runOAuth2.deviceAuthorization && deviceClass.loadInteractively === BaseDevice.loadInteractively) {
+            deviceClass.loadInteractively = function loadInteractively(engine, delegate) {
+                return runOAuth2.deviceAuthorization.call(this, engine, delegate);
+            };
+        }
     }
 };
@@ -0,0 +1,46 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Base = require('./base');
+const Helpers = require('../helpers');
+const { getMixinArgs } = require('../utils');
+
+module.exports = class OAuth2ClientCredentialsConfigMixin extends Base {
+    install(deviceClass) {
+        // the client credentials grant needs no user interaction: the device
+        // is configured like a config.none() device, and the access token
+        // is requested the first time it is needed (and again when it expires,
+        // or the server rejects it)
+        //
+        // the token is stored in the device state, and the device implements
+        // the same "oauth2" interface as devices using the authorization code grant,
+        // so they can be passed as the "useOAuth2" option to Helpers.Http
+
+        const info = getMixinArgs(this.mixin);
+        Helpers.OAuth2.clientCredentials({
+            client_id: info.client_id,
+            client_secret: info.client_secret,
+            get_access_token: info.get_access_token,
+            scope: info.scope,
+            use_basic_client_auth: !!info.use_basic_client_auth
+        }).install(deviceClass.prototype);
+    }
+};
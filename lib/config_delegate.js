@@ -80,5 +80,25 @@ class ConfigDelegate {
     async requestCode(question, secret = false) {
         throw new Error('Not Implemented');
     }
+
+    /* istanbul ignore next */
+    /**
+     * Show the code that the user must enter on another device to authorize
+     * this one (OAuth 2.0 device authorization grant, RFC 8628).
+     *
+     * This method is optional. If the delegate does not implement it, the
+     * code is shown with {@link ConfigDelegate#requestCode} instead, and
+     * configuration continues when the user answers.
+     *
+     * @param {Object} authorization - the authorization request
+     * @param {string} authorization.verificationUri - the URL of the page where the user enters the code
+     * @param {string} [authorization.verificationUriComplete] - the same URL with the code included, if the
+     *                                                           service provides it
+     * @param {string} authorization.userCode - the code to enter
+     * @param {number} authorization.expiresIn - the time after which the code expires, in seconds
+     */
+    async showDeviceCode(authorization) {
+        throw new Error('Not Implemented');
+    }
 }
 module.exports = ConfigDelegate; 
@@ -102,6 +102,8 @@ function makeDeviceFactory(classDef, device) {
         };
 
     case 'org.thingpedia.config.none':
+    case 'org.thingpedia.config.oauth2_client_credentials':
+        // client credentials need no input from the user
         return {
             type: 'none',
             category: device.category,
@@ -109,6 +111,7 @@ function makeDeviceFactory(classDef, device) {
             text: device.name
         };
 
+    case 'org.thingpedia.config.oauth1':
     case 'org.thingpedia.config.oauth2':
     case 'org.thingpedia.config.custom_oauth':
         return {
@@ -127,7 +130,28 @@ function makeDeviceFactory(classDef, device) {
             fields: toFields(getInputParam(config, 'params'))
         };
 
+    case 'org.thingpedia.config.api_key':
+        // if the key is not in the manifest, each user provides their own
+        if (getInputParam(config, 'api_key') !== undefined) {
+            return {
+                type: 'none',
+                category: device.category,
+                kind: classDef.kind,
+                text: device.name
+            };
+        }
+        return {
+            type: 'form',
+            category: device.category,
+            kind: classDef.kind,
+            text: device.name,
+            fields: [
+                { name: 'api_key', label: 'API Key', type: 'password' }
+            ]
+        };
+
     case 'org.thingpedia.config.basic_auth':
+    case 'org.thingpedia.config.digest_auth':
         return {
             type: 'form',
             category: device.category,
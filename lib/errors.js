@@ -23,6 +23,21 @@
  * An error occurred during OAuth.
  */
 class OAuthError extends Error {
+    /**
+     * Construct a new OAuthError.
+     *
+     * @param {string} message - the error message
+     * @param {string} [code] - the error code returned by the server (e.g. `invalid_grant`), if any
+     */
+    constructor(message, code) {
+        super(message);
+
+        /**
+         * The error code returned by the server, if any.
+         * @type {string|undefined}
+         */
+        this.code = code;
+    }
 }
 
 /**
@@ -44,8 +59,172 @@ class UnsupportedError extends Error {
     }
 }
 
+/**
+ * An operation did not complete within the allotted time.
+ */
+class TimeoutError extends Error {
+    constructor(msg = 'The operation timed out') {
+        super(msg);
+        this.name = 'TimeoutError';
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+/**
+ * An operation was cancelled through an `AbortSignal`.
+ */
+class AbortError extends Error {
+    constructor(msg = 'The operation was aborted') {
+        super(msg);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+/**
+ * An HTTP request was redirected too many times.
+ */
+class TooManyRedirectsError extends Error {
+    /**
+     * Construct a new redirect error.
+     *
+     * @param {string} url - the URL of the original request
+     * @param {Object[]} redirects - the redirects that were followed, as reported by {@link Helpers.Http}
+     */
+    constructor(url, redirects) {
+        super(`Too many redirects requesting ${url}`);
+        this.name = 'TooManyRedirectsError';
+        this.code = 'ERR_TOO_MANY_REDIRECTS';
+
+        /**
+         * The URL of the original request.
+         * @type {string}
+         */
+        this.url = url;
+        /**
+         * The redirects that were followed.
+         * @type {Object[]}
+         */
+        this.redirects = redirects;
+    }
+}
+
+// statuses that indicate a transient failure, where repeating the same request
+// later has a chance of succeeding
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * An HTTP request completed with an unsuccessful status code.
+ *
+ * For compatibility, the error also has a `code` property containing the status code,
+ * a `detail` property containing the body, and, for redirects, a `redirect` property
+ * containing the resolved target URL. New code should use `status`, `body` and `headers` instead.
+ */
+class HttpError extends Error {
+    /**
+     * Construct a new HTTP error.
+     *
+     * @param {number} status - the HTTP status code
+     * @param {Object} [response] - information about the failed request and its response
+     * @param {string} [response.url] - the URL of the request
+     * @param {string} [response.method] - the HTTP method of the request
+     * @param {Object.<string,string|string[]>} [response.headers] - the response headers
+     * @param {string} [response.body] - the response body
+     * @param {string} [response.redirect] - the target of the redirect, for 3xx statuses
+     */
+    constructor(status, { url, method, headers = {}, body = '', redirect } = {}) {
+        super(`Unexpected HTTP error ${status}`);
+        this.name = 'HttpError';
+
+        /**
+         * The HTTP status code.
+         * @type {number}
+         */
+        this.status = status;
+        /**
+         * The URL of the failed request.
+         * @type {string|undefined}
+         */
+        this.url = url;
+        /**
+         * The HTTP method of the failed request.
+         * @type {string|undefined}
+         */
+        this.method = method;
+        /**
+         * The response headers, with lowercase names.
+         * @type {Object.<string,string|string[]>}
+         */
+        this.headers = headers;
+        /**
+         * The response body.
+         * @type {string}
+         */
+        this.body = body;
+
+        this.code = status;
+        this.detail = body;
+        if (redirect !== undefined)
+            this.redirect = redirect;
+    }
+
+    /**
+     * Whether the failure is likely transient, so the request can be repeated later.
+     * @type {boolean}
+     * @readonly
+     */
+    get retryable() {
+        return RETRYABLE_STATUSES.includes(this.status);
+    }
+}
+
+/**
+ * A GraphQL request completed with errors.
+ *
+ * The `errors` array of the response is available in the `errors` property, and any
+ * partial result in the `data` property.
+ */
+class GraphQLError extends Error {
+    /**
+     * Construct a new GraphQL error.
+     *
+     * @param {Object[]} errors - the `errors` array of the GraphQL response
+     * @param {Object|null} [data] - the `data` returned alongside the errors, if any
+     */
+    constructor(errors, data = null) {
+        let message = errors.length > 0 && errors[0].message ? errors[0].message : 'Unknown GraphQL error';
+        if (errors.length > 1)
+            message += ` (and ${errors.length-1} more errors)`;
+        super(message);
+        this.name = 'GraphQLError';
+
+        const extensions = errors.length > 0 ? errors[0].extensions : undefined;
+        if (extensions && extensions.code)
+            this.code = extensions.code;
+        else if (errors.length > 0 && typeof errors[0].type === 'string')
+            this.code = errors[0].type;
+
+        /**
+         * The errors reported by the server, each with `message` and optionally
+         * `locations`, `path` and `extensions` properties.
+         * @type {Object[]}
+         */
+        this.errors = errors;
+        /**
+         * The partial result of the request, if any.
+         * @type {Object|null}
+         */
+        this.data = data;
+    }
+}
+
 module.exports = {
     OAuthError,
     ImplementationError,
-    UnsupportedError
+    UnsupportedError,
+    TimeoutError,
+    AbortError,
+    HttpError,
+    TooManyRedirectsError,
+    GraphQLError
 };
@@ -0,0 +1,100 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Url = require('url');
+
+const DEFAULT_NAMES = {
+    header: 'X-API-Key',
+    query: 'api_key',
+};
+
+/**
+ * Authentication with a static API key.
+ *
+ * Pass an instance of this class as the `auth` option to {@link Helpers.Http} to add
+ * the key to every request, as a request header, a query parameter or a bearer token.
+ *
+ * Devices using the `@org.thingpedia.config.api_key()` mixin have an instance of this
+ * class as their `auth` property, and it is also used automatically for requests made
+ * with the `useOAuth2` option set to the device.
+ *
+ * @alias Helpers.ApiKeyAuth
+ */
+class ApiKeyAuth {
+    /**
+     * Construct a new API key authentication.
+     *
+     * @param {string} key - the API key
+     * @param {Object} [options] - additional options
+     * @param {string} [options.location=header] - where to put the key: `header`, `query` or `bearer`
+     *                                             (in the `Authorization` header, as a bearer token)
+     * @param {string} [options.name] - the name of the header or query parameter; defaults to
+     *                                  `X-API-Key` for headers and `api_key` for query parameters
+     */
+    constructor(key, options = {}) {
+        const location = options.location || 'header';
+        if (location !== 'header' && location !== 'query' && location !== 'bearer')
+            throw new TypeError(`Invalid API key location ${location}`);
+
+        this.key = key;
+        this.location = location;
+        this.name = options.name || DEFAULT_NAMES[location] || null;
+    }
+
+    /**
+     * A string identifying the credentials, used to separate cached responses.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get cacheKey() {
+        return 'ApiKey ' + this.location + ':' + this.name + ':' + this.key;
+    }
+
+    /**
+     * Compute the `Authorization` header for a request.
+     *
+     * @param {string} method - the HTTP method of the request
+     * @param {string} url - the URL of the request
+     * @return {string|null} the value of the `Authorization` header, or `null` if the key
+     *                       is not sent as a bearer token
+     */
+    getAuthorization(method, url) {
+        return this.location === 'bearer' ? 'Bearer ' + this.key : null;
+    }
+
+    /**
+     * Add the key to a request in a header or in the query string.
+     *
+     * @param {Helpers.Http~Request} request - the request to modify
+     */
+    authenticate(request) {
+        if (this.location === 'header') {
+            request.headers[this.name] = this.key;
+        } else if (this.location === 'query') {
+            const parsed = Url.parse(request.url, true);
+            parsed.query[this.name] = this.key;
+            delete parsed.search;
+            request.url = Url.format(parsed);
+        }
+    }
+}
+module.exports = ApiKeyAuth;
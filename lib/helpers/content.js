@@ -81,7 +81,7 @@ module.exports = {
      */
     async getStream(platform, url) {
         if (url.startsWith('http')) {
-            return HttpHelpers.getStream(url).then((stream) => {
+            return HttpHelpers.getStream(url, { platform }).then((stream) => {
                 stream.contentType = stream.headers['content-type'];
                 return stream;
             });
@@ -0,0 +1,122 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const events = require('events');
+const tough = require('tough-cookie');
+
+/**
+ * A collection of HTTP cookies.
+ *
+ * Pass a cookie jar to the `cookieJar` option of {@link Helpers.Http} to store the cookies
+ * set by the server, and send them back in later requests.
+ *
+ * @extends events.EventEmitter
+ * @alias Helpers.CookieJar
+ */
+class CookieJar extends events.EventEmitter {
+    /**
+     * Construct a new cookie jar.
+     *
+     * @param {Object} [serialized] - the cookies to restore, as returned by {@link Helpers.CookieJar#toJSON}
+     */
+    constructor(serialized) {
+        super();
+
+        if (serialized)
+            this._jar = tough.CookieJar.deserializeSync(serialized);
+        else
+            this._jar = new tough.CookieJar();
+    }
+
+    /**
+     * Create a cookie jar that is persisted in the state of a device.
+     *
+     * The cookies are restored from the given key of the device state, and the state
+     * is updated every time the cookies change.
+     *
+     * @param {BaseDevice} device - the device owning the cookies
+     * @param {string} [key=cookies] - the state key where the cookies are saved
+     * @return {Helpers.CookieJar} the new cookie jar
+     */
+    static forDevice(device, key = 'cookies') {
+        const jar = new CookieJar(device.state[key]);
+        jar.on('changed', () => {
+            device.state[key] = jar.toJSON();
+            device.stateChanged();
+        });
+        return jar;
+    }
+
+    /**
+     * Compute the value of the `Cookie` header to send to the given URL.
+     *
+     * @param {string} url - the URL of the request
+     * @return {string} the cookie header (possibly empty)
+     */
+    getCookieString(url) {
+        return this._jar.getCookieStringSync(url);
+    }
+
+    /**
+     * Store the cookies set by a response.
+     *
+     * Invalid cookies, and cookies for a different domain, are ignored.
+     *
+     * @param {string} url - the URL of the request
+     * @param {string[]} setCookie - the values of the `Set-Cookie` response headers
+     * @fires Helpers.CookieJar#changed
+     */
+    setCookies(url, setCookie) {
+        let changed = false;
+        for (let header of setCookie) {
+            if (this._jar.setCookieSync(header, url, { ignoreError: true }))
+                changed = true;
+        }
+
+        /**
+         * Reports that cookies were added or modified.
+         *
+         * @event Helpers.CookieJar#changed
+         */
+        if (changed)
+            this.emit('changed');
+    }
+
+    /**
+     * Remove all cookies.
+     *
+     * @fires Helpers.CookieJar#changed
+     */
+    clear() {
+        this._jar.removeAllCookiesSync();
+        this.emit('changed');
+    }
+
+    /**
+     * Serialize the cookie jar to a plain JSON object.
+     *
+     * @return {Object} the serialized cookies
+     */
+    toJSON() {
+        return this._jar.serializeSync();
+    }
+}
+module.exports = CookieJar;
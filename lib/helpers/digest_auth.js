@@ -0,0 +1,208 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Url = require('url');
+const crypto = require('crypto');
+
+// the supported algorithms, in order of preference
+const ALGORITHMS = {
+    'SHA-256': 'sha256',
+    'SHA-256-SESS': 'sha256',
+    'MD5': 'md5',
+    'MD5-SESS': 'md5',
+};
+const PREFERENCE = ['SHA-256', 'SHA-256-SESS', 'MD5', 'MD5-SESS'];
+
+// parse the Digest challenges in a WWW-Authenticate header (RFC 7235, section 4.1)
+//
+// a header can contain multiple challenges, with different schemes, separated by commas,
+// and the parameters of each challenge are also separated by commas
+function parseChallenges(header) {
+    const challenges = [];
+    let current = null;
+
+    let rest = header;
+    for (;;) {
+        rest = rest.replace(/^[\s,]+/, '');
+        const token = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+/.exec(rest);
+        if (token === null)
+            break;
+        const name = token[0];
+        rest = rest.substring(name.length);
+
+        const equal = /^\s*=\s*/.exec(rest);
+        if (equal === null) {
+            // a token that is not followed by "=" starts a new challenge
+            current = { scheme: name.toLowerCase(), params: {} };
+            challenges.push(current);
+            continue;
+        }
+        rest = rest.substring(equal[0].length);
+
+        let value;
+        const quoted = /^"((?:[^"\\]|\\.)*)"/.exec(rest);
+        if (quoted !== null) {
+            value = quoted[1].replace(/\\(.)/g, '$1');
+            rest = rest.substring(quoted[0].length);
+        } else {
+            value = /^[^,\s]*/.exec(rest)[0];
+            rest = rest.substring(value.length);
+        }
+        if (current !== null)
+            current.params[name.toLowerCase()] = value;
+    }
+
+    return challenges.filter((c) => c.scheme === 'digest').map((c) => c.params);
+}
+
+// the quality of protection options offered by a challenge
+function getQop(challenge) {
+    return challenge.qop ? challenge.qop.split(',').map((q) => q.trim().toLowerCase()) : [];
+}
+
+function quote(value) {
+    return '"' + String(value).replace(/(["\\])/g, '\\$1') + '"';
+}
+
+/**
+ * The state of HTTP Digest authentication (RFC 7616) with a server.
+ *
+ * Pass an instance of this class as the `auth` option to {@link Helpers.Http}:
+ * when the server responds with a Digest challenge, the request is repeated with the
+ * computed credentials. Later requests reuse the last challenge, incrementing
+ * the nonce count, so they are authenticated without an extra round trip.
+ *
+ * MD5 and SHA-256 (and their session variants) are supported, with or without `qop=auth`.
+ * `qop=auth-int` is not supported, because it requires hashing the request body.
+ *
+ * @alias Helpers.DigestAuth
+ */
+class DigestAuth {
+    /**
+     * Construct a new Digest authentication state.
+     *
+     * @param {string} username - the username to authenticate with
+     * @param {string} password - the password to authenticate with
+     */
+    constructor(username, password) {
+        this.username = username;
+        this.password = password;
+
+        this._challenge = null;
+        this._nonceCount = 0;
+    }
+
+    /**
+     * A string identifying the credentials, used to separate cached responses.
+     *
+     * @type {string}
+     * @readonly
+     */
+    get cacheKey() {
+        return 'Digest ' + this.username + ':' + this.password;
+    }
+
+    /**
+     * Process the challenge in a 401 response.
+     *
+     * @param {string|undefined} header - the value of the `WWW-Authenticate` response header
+     * @return {boolean} `true` if the request should be repeated with new credentials, `false`
+     *                   if the challenge is not supported, or the credentials were rejected
+     * @throws {Error} if the server only offers `qop=auth-int`
+     */
+    handleChallenge(header) {
+        if (!header)
+            return false;
+
+        let challenges = parseChallenges(header).filter((c) => {
+            return c.nonce && (c.algorithm || 'MD5').toUpperCase() in ALGORITHMS;
+        });
+        if (challenges.length === 0)
+            return false;
+        // falling back to the RFC 2069 digest would be rejected by the server, so we fail
+        // loudly rather than sending a response that cannot succeed
+        challenges = challenges.filter((c) => !c.qop || getQop(c).includes('auth'));
+        if (challenges.length === 0)
+            throw new Error(`Digest authentication with qop="auth-int" is not supported`);
+        challenges.sort((a, b) => {
+            return PREFERENCE.indexOf((a.algorithm || 'MD5').toUpperCase()) -
+                PREFERENCE.indexOf((b.algorithm || 'MD5').toUpperCase());
+        });
+        const challenge = challenges[0];
+
+        // if the server rejected a fresh response to the same nonce, the credentials are wrong
+        const previous = this._challenge;
+        if (previous !== null && previous.nonce === challenge.nonce && (challenge.stale || '').toLowerCase() !== 'true')
+            return false;
+
+        this._challenge = challenge;
+        this._nonceCount = 0;
+        return true;
+    }
+
+    /**
+     * Compute the `Authorization` header for a request.
+     *
+     * @param {string} method - the HTTP method of the request
+     * @param {string} url - the URL of the request
+     * @return {string|null} the value of the `Authorization` header, or `null` if no challenge was received yet
+     */
+    getAuthorization(method, url) {
+        const challenge = this._challenge;
+        if (challenge === null)
+            return null;
+
+        const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+        const hash = (data) => crypto.createHash(ALGORITHMS[algorithm]).update(data).digest('hex');
+
+        const uri = Url.parse(url).path;
+        const cnonce = crypto.randomBytes(16).toString('hex');
+        this._nonceCount++;
+        const nc = ('00000000' + this._nonceCount.toString(16)).slice(-8);
+
+        let ha1 = hash(`${this.username}:${challenge.realm}:${this.password}`);
+        if (algorithm.endsWith('-SESS'))
+            ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+        const ha2 = hash(`${method}:${uri}`);
+
+        const qop = getQop(challenge);
+        let response;
+        if (qop.includes('auth'))
+            response = hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:auth:${ha2}`);
+        else
+            response = hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+        const params = [
+            `username=${quote(this.username)}`,
+            `realm=${quote(challenge.realm)}`,
+            `nonce=${quote(challenge.nonce)}`,
+            `uri=${quote(uri)}`,
+            `algorithm=${challenge.algorithm || 'MD5'}`,
+            `response=${quote(response)}`,
+        ];
+        if (challenge.opaque !== undefined)
+            params.push(`opaque=${quote(challenge.opaque)}`);
+        if (qop.includes('auth'))
+            params.push(`qop=auth`, `nc=${nc}`, `cnonce=${quote(cnonce)}`);
+        return 'Digest ' + params.join(', ');
+    }
+}
+module.exports = DigestAuth;
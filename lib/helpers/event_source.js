@@ -0,0 +1,294 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const stream = require('stream');
+
+const Http = require('./http');
+const { HttpError } = require('../errors');
+
+const DEFAULT_RETRY = 3000;
+const MAX_RETRY = 60000;
+
+/**
+ * An event received from the server.
+ *
+ * @typedef {Object} Helpers.EventSource~Event
+ * @property {string} type - the event type (`message` unless the server specified a different type)
+ * @property {string} data - the event data
+ * @property {string} lastEventId - the last event ID sent by the server
+ */
+
+/**
+ * Callback called to convert a server event into the objects emitted by the stream.
+ *
+ * @callback Helpers.EventSource~ParseCallback
+ * @param {Helpers.EventSource~Event} event - the event received from the server
+ * @return {Object|Object[]|null} the object to emit, a list of objects, or `null` to skip the event
+ */
+
+/**
+ * A stream.Readable implementation that receives Server-Sent Events (`text/event-stream`).
+ *
+ * The stream is in object mode, and can be returned directly from a `subscribe_*` function.
+ * The connection is opened when the stream is first read, and it is reestablished automatically
+ * if it drops, sending the `Last-Event-ID` header and honoring the reconnection
+ * delay set by the server with the `retry:` field. Destroy the stream to close the connection.
+ *
+ * @extends stream.Readable
+ * @alias Helpers.EventSource
+ */
+class EventSource extends stream.Readable {
+    /**
+     * Construct a new event source.
+     *
+     * @param {string} url - the URL of the event stream
+     * @param {Object} [options] - additional options
+     * @param {Object} [options.http] - options to pass to the HTTP library (e.g. `auth`, `useOAuth2`
+     *                                  or `extraHeaders`); see {@link Helpers.Http.getStream} for details
+     * @param {TriggerStateBinder} [options.state] - a state binder object, used to remember the last event ID
+     *                                               across restarts
+     * @param {string} [options.lastEventId] - the ID of the last event received before, if any
+     * @param {number} [options.retry=3000] - the initial reconnection delay, in milliseconds
+     * @param {Helpers.EventSource~ParseCallback} [options.parse] - convert events to stream objects; by default,
+     *                                                              the data of each event is parsed as JSON
+     */
+    constructor(url, options = {}) {
+        super({ objectMode: true });
+
+        this.url = url;
+        this._httpOptions = options.http || {};
+        this._state = options.state || null;
+        this._parse = options.parse || ((event) => JSON.parse(event.data));
+
+        /**
+         * The ID of the last event received from the server.
+         * @type {string}
+         */
+        this.lastEventId = options.lastEventId || '';
+        if (this._state !== null && !this.lastEventId)
+            this.lastEventId = this._state.get('last-event-id') || '';
+
+        this._retry = options.retry || DEFAULT_RETRY;
+        this._failures = 0;
+        this._started = false;
+        this._closed = false;
+        this._response = null;
+        this._timeout = null;
+
+        this._buffer = '';
+        this._eventType = '';
+        this._data = '';
+        this._lastEventIdBuffer = this.lastEventId;
+        this._bomChecked = false;
+    }
+
+    _read() {
+        if (this._response !== null) {
+            this._response.resume();
+            return;
+        }
+        if (!this._started) {
+            this._started = true;
+            this._connect();
+        }
+    }
+
+    _destroy(error, callback) {
+        this._closed = true;
+        if (this._timeout !== null) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+        if (this._response !== null) {
+            this._response.destroy();
+            this._response = null;
+        }
+        callback(error);
+    }
+
+    _connect() {
+        this._timeout = null;
+        if (this._closed)
+            return;
+
+        const extraHeaders = Object.assign({}, this._httpOptions.extraHeaders, {
+            'Cache-Control': 'no-cache'
+        });
+        if (this.lastEventId)
+            extraHeaders['Last-Event-ID'] = this.lastEventId;
+        const options = Object.assign({}, this._httpOptions, {
+            accept: 'text/event-stream',
+            extraHeaders,
+            cache: false
+        });
+
+        Http.getStream(this.url, options).then((response) => {
+            if (this._closed) {
+                response.destroy();
+                return;
+            }
+
+            const contentType = response.headers['content-type'] || '';
+            if (response.statusCode === 204) {
+                // the server asked us to stop reconnecting
+                response.resume();
+                this.push(null);
+                return;
+            }
+            if (!/^text\/event-stream\s*(;|$)/i.test(contentType)) {
+                response.resume();
+                this.destroy(new Error(`Unexpected content type ${contentType} for event stream ${this.url}`));
+                return;
+            }
+
+            this._response = response;
+            this._failures = 0;
+            this._buffer = '';
+            this._data = '';
+            this._eventType = '';
+            this._bomChecked = false;
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => this._onData(chunk));
+            const onClose = () => {
+                if (this._response === response)
+                    this._reconnect();
+            };
+            response.on('end', onClose);
+            response.on('error', onClose);
+        }, (err) => {
+            if (this._closed)
+                return;
+            if (err instanceof HttpError && !err.retryable)
+                this.destroy(err);
+            else
+                this._reconnect();
+        });
+    }
+
+    _reconnect() {
+        if (this._closed || this._timeout !== null)
+            return;
+        if (this._response !== null) {
+            this._response.destroy();
+            this._response = null;
+        }
+
+        // back off exponentially if we cannot connect
+        const delay = Math.min(MAX_RETRY, this._retry * Math.pow(2, this._failures));
+        this._failures++;
+        this._timeout = setTimeout(() => this._connect(), delay);
+    }
+
+    _onData(chunk) {
+        if (!this._bomChecked) {
+            this._bomChecked = true;
+            if (chunk.startsWith('\uFEFF'))
+                chunk = chunk.substring(1);
+        }
+        this._buffer += chunk;
+
+        // a line can end with \r\n, so we wait for the next character
+        // if the buffer ends with \r
+        const regexp = /\r\n|\r(?!$)|\n/g;
+        let start = 0;
+        let match;
+        while ((match = regexp.exec(this._buffer)) !== null) {
+            this._processLine(this._buffer.substring(start, match.index));
+            start = match.index + match[0].length;
+            if (this._closed)
+                return;
+        }
+        this._buffer = this._buffer.substring(start);
+    }
+
+    _processLine(line) {
+        if (line === '') {
+            this._dispatch();
+            return;
+        }
+        if (line.startsWith(':')) // comment
+            return;
+
+        let field, value;
+        const colon = line.indexOf(':');
+        if (colon >= 0) {
+            field = line.substring(0, colon);
+            value = line.substring(colon+1);
+            if (value.startsWith(' '))
+                value = value.substring(1);
+        } else {
+            field = line;
+            value = '';
+        }
+
+        switch (field) {
+        case 'event':
+            this._eventType = value;
+            break;
+        case 'data':
+            this._data += value + '\n';
+            break;
+        case 'id':
+            if (value.indexOf('\0') < 0)
+                this._lastEventIdBuffer = value;
+            break;
+        case 'retry':
+            if (/^[0-9]+$/.test(value))
+                this._retry = parseInt(value, 10);
+            break;
+        default:
+            // ignore unknown fields
+        }
+    }
+
+    _dispatch() {
+        this.lastEventId = this._lastEventIdBuffer;
+        const data = this._data;
+        const type = this._eventType || 'message';
+        this._data = '';
+        this._eventType = '';
+        if (data === '')
+            return;
+
+        let results;
+        try {
+            results = this._parse({ type, data: data.substring(0, data.length-1), lastEventId: this.lastEventId });
+        } catch(e) {
+            this.destroy(e);
+            return;
+        }
+        if (this._state !== null)
+            this._state.set('last-event-id', this.lastEventId);
+        if (results === null || results === undefined)
+            return;
+        if (!Array.isArray(results))
+            results = [results];
+
+        const now = Date.now();
+        for (let item of results) {
+            item.__timestamp = now;
+            if (!this.push(item) && this._response !== null)
+                this._response.pause();
+        }
+    }
+}
+module.exports = EventSource;
@@ -0,0 +1,170 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const stream = require('stream');
+const crypto = require('crypto');
+const path = require('path');
+const qs = require('querystring');
+
+// escape a parameter of the Content-Disposition header, the same way
+// browsers do when they submit forms
+function escapeParameter(value) {
+    return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * A `multipart/form-data` request body.
+ *
+ * The form is a readable stream that produces the encoded body, reading each file
+ * only when the upload reaches it, so large files are never buffered in memory.
+ * Pass the form as the request body of {@link Helpers.Http.postStream} or {@link Helpers.Http.post}:
+ * the `Content-Type` header, including the boundary, is set automatically.
+ *
+ * @extends stream.Readable
+ * @alias Helpers.Form.Multipart
+ */
+class Multipart extends stream.Readable {
+    /**
+     * Construct a new empty form.
+     */
+    constructor() {
+        super();
+
+        /**
+         * The boundary separating the parts of the form.
+         * @type {string}
+         */
+        this.boundary = '----ThingpediaFormBoundary' + crypto.randomBytes(12).toString('hex');
+
+        this._parts = [];
+        this._started = false;
+        this._current = null;
+    }
+
+    /**
+     * The value of the `Content-Type` header for this form.
+     * @type {string}
+     * @readonly
+     */
+    get contentType() {
+        return 'multipart/form-data; boundary=' + this.boundary;
+    }
+
+    /**
+     * Add a field to the form.
+     *
+     * Fields must be added before the upload starts.
+     *
+     * @param {string} name - the name of the field
+     * @param {string|number|boolean|Buffer|stream.Readable} value - the value of the field; Buffers and streams
+     *                                                             (such as those returned by {@link Helpers.Content.getStream})
+     *                                                             are sent as files
+     * @param {Object} [options] - additional options for file fields
+     * @param {string} [options.filename] - the file name to report; it defaults to the name of the file
+     *                                      for streams created with `fs.createReadStream`, and to the field name otherwise
+     * @param {string} [options.contentType] - the content type of the file; it defaults to the `contentType`
+     *                                         property of the value, or `application/octet-stream`
+     * @return {Helpers.Form.Multipart} this form, to allow chaining
+     */
+    append(name, value, options = {}) {
+        if (this._started)
+            throw new Error(`Cannot add fields to a form that is already being sent`);
+
+        let header = `--${this.boundary}\r\nContent-Disposition: form-data; name="${escapeParameter(name)}"`;
+        if (Buffer.isBuffer(value) || value instanceof stream.Readable) {
+            let filename = options.filename;
+            if (filename === undefined)
+                filename = typeof value.path === 'string' ? path.basename(value.path) : name;
+            const contentType = options.contentType || value.contentType || 'application/octet-stream';
+            header += `; filename="${escapeParameter(filename)}"\r\nContent-Type: ${contentType}`;
+        } else {
+            value = String(value);
+        }
+        header += '\r\n\r\n';
+
+        this._parts.push({ header, value });
+        return this;
+    }
+
+    _read() {
+        this._started = true;
+        if (this._current !== null)
+            this._current.resume();
+        else
+            this._nextPart();
+    }
+
+    _nextPart() {
+        const part = this._parts.shift();
+        if (part === undefined) {
+            this.push(`--${this.boundary}--\r\n`);
+            this.push(null);
+            return;
+        }
+
+        this.push(part.header);
+        if (!(part.value instanceof stream.Readable)) {
+            this.push(part.value);
+            this.push('\r\n');
+            return;
+        }
+
+        const file = part.value;
+        this._current = file;
+        file.on('data', (chunk) => {
+            if (!this.push(chunk))
+                file.pause();
+        });
+        file.on('end', () => {
+            this._current = null;
+            this.push('\r\n');
+        });
+        file.on('error', (err) => {
+            this.emit('error', err);
+        });
+    }
+}
+
+/**
+ * Builders for HTML form request bodies.
+ *
+ * @namespace
+ * @alias Helpers.Form
+ */
+module.exports = {
+    Multipart,
+
+    /**
+     * Encode the given fields as an `application/x-www-form-urlencoded` request body.
+     *
+     * The result can be passed as the request body of {@link Helpers.Http.post};
+     * the `Content-Type` header is set automatically.
+     *
+     * @param {Object.<string,string|number|boolean|Array>} fields - the form fields; arrays are encoded
+     *                                                               as repeated fields
+     * @return {Buffer} the encoded body; it also has a `contentType` string property
+     */
+    urlencoded(fields) {
+        const body = Buffer.from(qs.stringify(fields));
+        body.contentType = 'application/x-www-form-urlencoded';
+        return body;
+    }
+};
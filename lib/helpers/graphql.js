@@ -0,0 +1,170 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Http = require('./http');
+const { Paginator, getProperty } = require('./paginator');
+const { HttpError, GraphQLError } = require('../errors');
+
+function parseResponse(body) {
+    let parsed;
+    try {
+        parsed = JSON.parse(body);
+    } catch(e) {
+        return null;
+    }
+    if (parsed === null || typeof parsed !== 'object')
+        return null;
+    return parsed;
+}
+
+async function query(url, document, variables = {}, options = {}) {
+    const request = { query: document, variables };
+    if (options.operationName)
+        request.operationName = options.operationName;
+
+    let body;
+    try {
+        body = await Http.post(url, JSON.stringify(request), Object.assign({}, options, {
+            dataContentType: 'application/json',
+            accept: 'application/json',
+            raw: false
+        }));
+    } catch(e) {
+        // many servers report GraphQL errors with a 4xx or 5xx status
+        if (e instanceof HttpError) {
+            const parsed = parseResponse(e.body);
+            if (parsed !== null && Array.isArray(parsed.errors) && parsed.errors.length > 0)
+                throw new GraphQLError(parsed.errors, parsed.data || null);
+        }
+        throw e;
+    }
+
+    const parsed = parseResponse(body);
+    if (parsed === null)
+        throw new Error(`Invalid GraphQL response from ${url}`);
+    if (Array.isArray(parsed.errors) && parsed.errors.length > 0)
+        throw new GraphQLError(parsed.errors, parsed.data || null);
+    return parsed.data;
+}
+
+// the async iterator returned by GraphQL.paginate()
+class ConnectionIterator extends Paginator {
+    constructor(url, document, variables, options) {
+        super(options);
+        if (!options.connection)
+            throw new TypeError(`The connection option is required to paginate a GraphQL query`);
+
+        this._url = url;
+        this._document = document;
+        this._variables = variables;
+        this._options = options;
+        this._cursorVariable = options.cursorVariable || 'after';
+
+        this._cursor = variables[this._cursorVariable];
+    }
+
+    async _fetchPage() {
+        const variables = Object.assign({}, this._variables);
+        if (this._cursor !== undefined && this._cursor !== null)
+            variables[this._cursorVariable] = this._cursor;
+
+        const queryOptions = Object.assign({}, this._options);
+        delete queryOptions.connection;
+        delete queryOptions.cursorVariable;
+        delete queryOptions.limit;
+        delete queryOptions.hints;
+        const data = await query(this._url, this._document, variables, queryOptions);
+        const connection = getProperty(data, this._options.connection);
+        if (connection === null || connection === undefined) {
+            this._done = true;
+            return;
+        }
+
+        let nodes;
+        if (Array.isArray(connection.edges))
+            nodes = connection.edges.map((edge) => edge.node);
+        else if (Array.isArray(connection.nodes))
+            nodes = connection.nodes;
+        else
+            throw new Error(`Invalid GraphQL connection ${this._options.connection}: expected edges or nodes`);
+        this._buffer.push(...nodes);
+
+        const pageInfo = connection.pageInfo;
+        if (!pageInfo || !pageInfo.hasNextPage || !pageInfo.endCursor ||
+            pageInfo.endCursor === this._cursor || nodes.length === 0)
+            this._done = true;
+        else
+            this._cursor = pageInfo.endCursor;
+    }
+}
+
+/**
+ * GraphQL Helpers.
+ *
+ * Requests are sent with {@link Helpers.Http}, so they support the same authentication
+ * options (including `auth` and `useOAuth2`), middleware, rate limiting and retries.
+ *
+ * @namespace
+ * @alias Helpers.GraphQL
+ */
+module.exports = {
+    /**
+     * Execute a GraphQL query or mutation.
+     *
+     * If the response contains any errors, the request fails with a {@link GraphQLError}, whose
+     * `data` property contains the partial result, if any.
+     *
+     * @param {string} url - the URL of the GraphQL endpoint
+     * @param {string} document - the GraphQL document to execute
+     * @param {Object} [variables] - the values of the variables in the document
+     * @param {Object} [options] - request options; all options other than `operationName` are
+     *                             passed to {@link Helpers.Http.post}
+     * @param {string} [options.operationName] - the name of the operation to execute, if the document
+     *                                           contains more than one
+     * @return {Object} the `data` of the response
+     * @async
+     */
+    query,
+
+    /**
+     * Iterate the nodes of a paginated connection, following the
+     * [Relay cursor connection](https://relay.dev/graphql/connections.htm) conventions.
+     *
+     * The document must select `pageInfo { hasNextPage endCursor }` and either `edges { node { ... } }`
+     * or `nodes { ... }` on the connection, and must accept the cursor of the next page as a variable.
+     * Pages are retrieved lazily, as with {@link Helpers.Http.paginate}.
+     *
+     * @param {string} url - the URL of the GraphQL endpoint
+     * @param {string} document - the GraphQL document to execute
+     * @param {Object} variables - the values of the variables in the document
+     * @param {Object} options - request and pagination options; other options are passed to {@link Helpers.GraphQL.query}
+     * @param {string} options.connection - the path of the connection in the response data, as a chain of
+     *                                      properties separated by `.`
+     * @param {string} [options.cursorVariable=after] - the variable to pass the cursor of the next page in
+     * @param {number} [options.limit] - the maximum number of nodes to return
+     * @param {Object} [options.hints] - the hints passed to the `get_*` function; if `limit` is not specified,
+     *                                   the limit is taken from the hints
+     * @return {AsyncIterable<Object>} the nodes of the connection, one at a time
+     */
+    paginate(url, document, variables = {}, options = {}) {
+        return new ConnectionIterator(url, document, variables, options);
+    }
+};
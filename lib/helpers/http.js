@@ -21,7 +21,19 @@
 
 const http = require('http');
 const https = require('https');
+const net = require('net');
+const tls = require('tls');
 const Url = require('url');
+const crypto = require('crypto');
+const qs = require('querystring');
+const stream = require('stream');
+const zlib = require('zlib');
+
+const { TimeoutError, AbortError, HttpError, TooManyRedirectsError } = require('../errors');
+const RateLimiter = require('./rate_limit');
+const HttpCache = require('./http_cache');
+const { Paginator, getProperty } = require('./paginator');
+const { PAGINATION_STYLES } = require('../utils');
 
 function getModule(parsed) {
     if (parsed.protocol === 'https:')
@@ -30,135 +42,907 @@ function getModule(parsed) {
         return http;
 }
 
-function httpRequestStream(url, method, data, options, uploadStream, downloadStream, attemptedOAuth2) {
+function getProxyFromEnvironment(name) {
+    return process.env[name] || process.env[name.toLowerCase()] || null;
+}
+
+function isExcludedFromProxy(parsed) {
+    const noProxy = getProxyFromEnvironment('NO_PROXY');
+    if (!noProxy)
+        return false;
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+    const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+    for (let entry of noProxy.split(/[\s,]+/)) {
+        entry = entry.trim().toLowerCase();
+        if (!entry)
+            continue;
+        if (entry === '*')
+            return true;
+
+        let entryPort = null;
+        const match = /^(.*):([0-9]+)$/.exec(entry);
+        if (match && !match[1].endsWith(':')) {
+            entry = match[1];
+            entryPort = match[2];
+        }
+        entry = entry.replace(/^\[(.*)\]$/, '$1');
+        if (entryPort !== null && entryPort !== port)
+            continue;
+
+        // "example.com", ".example.com" and "*.example.com" all match
+        // example.com and all its subdomains
+        entry = entry.replace(/^\*?\./, '');
+        if (hostname === entry || hostname.endsWith('.' + entry))
+            return true;
+    }
+    return false;
+}
+
+function getProxy(parsed, options) {
+    if (options.proxy === false)
+        return null;
+    if (options.proxy && options.proxy !== true)
+        return Url.parse(options.proxy);
+    if (isExcludedFromProxy(parsed))
+        return null;
+
+    // THINGENGINE_PROXY is only used for requests on the default ports,
+    // which is where the proxy is expected to work
+    const legacyProxy = process.env.THINGENGINE_PROXY;
+    if (legacyProxy && (!parsed.port || parsed.port === '80' || parsed.port === '443'))
+        return Url.parse(legacyProxy);
+
+    let proxy;
+    if (parsed.protocol === 'https:')
+        proxy = getProxyFromEnvironment('HTTPS_PROXY');
+    else
+        proxy = getProxyFromEnvironment('HTTP_PROXY');
+    return proxy ? Url.parse(proxy) : null;
+}
+
+function getProxyHeaders(proxy) {
+    if (!proxy.auth)
+        return {};
+
+    // Url.parse() already decoded the percent-encoded credentials
+    return { 'Proxy-Authorization': 'Basic ' + Buffer.from(proxy.auth).toString('base64') };
+}
+
+function openTunnel(proxy, parsed, controller) {
+    const target = parsed.hostname.replace(/^([^[].*:.*)$/, '[$1]') + ':' + (parsed.port || 443);
+    return new Promise((resolve, reject) => {
+        const req = getModule(proxy).request({
+            protocol: proxy.protocol,
+            hostname: proxy.hostname,
+            port: proxy.port,
+            method: 'CONNECT',
+            path: target,
+            agent: false,
+            headers: Object.assign({ 'Host': target }, getProxyHeaders(proxy))
+        });
+        controller.attach(req);
+        req.on('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                const error = new HttpError(res.statusCode, { url: Url.format(proxy), method: 'CONNECT', headers: res.headers });
+                error.message = `Proxy refused to connect to ${target}: HTTP error ${res.statusCode}`;
+                reject(error);
+                return;
+            }
+            resolve(socket);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+const DEFAULT_MAX_REDIRECTS = 10;
+
+function getOrigin(url) {
+    const parsed = Url.parse(url);
+    return parsed.protocol + '//' + parsed.hostname + ':' + (parsed.port || (parsed.protocol === 'https:' ? '443' : '80'));
+}
+
+// remove all credentials that are not bound to a specific origin
+//
+// cookies in the cookie jar are kept, because the jar only sends them
+// to the domain that set them
+function stripCredentials(options) {
+    const stripped = Object.assign({}, options);
+    // the device also provides the platform, which we still need for middleware
+    if (!stripped.platform && options.useOAuth2)
+        stripped.platform = options.useOAuth2.platform;
+    delete stripped.auth;
+    delete stripped.useOAuth2;
+    if (options.extraHeaders) {
+        stripped.extraHeaders = {};
+        for (let name in options.extraHeaders) {
+            const lower = name.toLowerCase();
+            if (lower !== 'authorization' && lower !== 'cookie')
+                stripped.extraHeaders[name] = options.extraHeaders[name];
+        }
+    }
+    return stripped;
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+const RETRY_DEFAULTS = {
+    maxAttempts: 3,
+    minDelay: 1000,
+    maxDelay: 30000,
+    statuses: [429, 502, 503, 504],
+    errors: ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'],
+    methods: IDEMPOTENT_METHODS,
+    onRetry: null
+};
+
+// parse the value of a Retry-After header, which can be either a number
+// of seconds or an HTTP date, and return the delay in milliseconds
+function parseRetryAfter(value) {
+    if (!value)
+        return null;
+    if (/^\s*[0-9]+\s*$/.test(value))
+        return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    if (isNaN(date))
+        return null;
+    return Math.max(0, date - Date.now());
+}
+
+// Tracks the timeouts, the retries and the cancellation signal of a single logical
+// request, which can span multiple HTTP requests (redirects, retries after
+// transient errors, and retries after refreshing the OAuth token)
+//
+// When the request fails, the socket currently in use is destroyed, and
+// the `failed` promise is rejected
+class RequestController {
+    constructor(url, options) {
+        let connectTimeout = null, totalTimeout = null;
+        if (typeof options.timeout === 'number') {
+            totalTimeout = options.timeout;
+        } else if (options.timeout) {
+            connectTimeout = options.timeout.connect || null;
+            totalTimeout = options.timeout.total || null;
+        }
+        this._url = url;
+        this._connectTimeout = connectTimeout;
+        this._totalTimeout = totalTimeout;
+        this._signal = options.signal || null;
+
+        if (options.retry === true)
+            this._retry = RETRY_DEFAULTS;
+        else if (options.retry)
+            this._retry = Object.assign({}, RETRY_DEFAULTS, options.retry);
+        else
+            this._retry = null;
+        this._attempt = 1;
+        this._retryTimer = null;
+
+        // set when the request is a conditional request issued by the cache
+        this.acceptNotModified = false;
+        // the redirects followed so far
+        this.redirects = [];
+        // set when refreshing the OAuth token before it expired failed, so we use
+        // the current token until the server rejects it
+        this.refreshFailed = false;
+
+        this._request = null;
+        this._response = null;
+        this._timer = null;
+        this._onAbort = () => this._fail(new AbortError());
+
+        this.error = null;
+        this.failed = new Promise((resolve, reject) => {
+            this._reject = reject;
+        });
+    }
+
+    start() {
+        if (this._signal) {
+            if (this._signal.aborted)
+                this._fail(new AbortError());
+            else
+                this._signal.addEventListener('abort', this._onAbort);
+        }
+        if (this._totalTimeout !== null && this.error === null) {
+            this._timer = setTimeout(() => {
+                this._fail(new TimeoutError(`Timed out waiting for response from ${this._url}`));
+            }, this._totalTimeout);
+        }
+    }
+
+    attach(req) {
+        this._request = req;
+        if (this._connectTimeout === null)
+            return;
+
+        req.on('socket', (socket) => {
+            if (!socket.connecting)
+                return;
+            const timer = setTimeout(() => {
+                this._fail(new TimeoutError(`Timed out connecting to ${this._url}`));
+            }, this._connectTimeout);
+            socket.once('connect', () => clearTimeout(timer));
+            socket.once('close', () => clearTimeout(timer));
+        });
+    }
+
+    // compute how long to wait before retrying a failed attempt, or return
+    // null if the request should not be retried
+    getRetryDelay(method, uploadStream, status, error, retryAfter) {
+        const retry = this._retry;
+        if (retry === null || uploadStream || this.error !== null)
+            return null;
+        if (this._attempt >= retry.maxAttempts || retry.methods.indexOf(method) < 0)
+            return null;
+        if (error ? retry.errors.indexOf(error.code) < 0 : retry.statuses.indexOf(status) < 0)
+            return null;
+
+        // exponential backoff, with jitter between half and full delay
+        const backoff = Math.min(retry.maxDelay, retry.minDelay * Math.pow(2, this._attempt - 1));
+        let delay = backoff / 2 + Math.random() * backoff / 2;
+        if (retryAfter !== null) {
+            // if the server asks us to wait longer than we are willing to, give up
+            if (retryAfter > retry.maxDelay)
+                return null;
+            delay = Math.max(delay, retryAfter);
+        }
+        delay = Math.round(delay);
+
+        if (retry.onRetry) {
+            // this is called from the response and error callbacks, so an exception in
+            // the hook must fail the request rather than escape
+            try {
+                retry.onRetry({
+                    url: this._url,
+                    method,
+                    attempt: this._attempt,
+                    maxAttempts: retry.maxAttempts,
+                    delay,
+                    status,
+                    error
+                });
+            } catch(e) {
+                this._fail(e);
+                return null;
+            }
+        }
+        this._attempt++;
+        return delay;
+    }
+
+    wait(delay) {
+        return new Promise((resolve) => {
+            this._retryTimer = setTimeout(() => {
+                this._retryTimer = null;
+                resolve();
+            }, delay);
+        });
+    }
+
+    // hand over a streaming response to the caller: the timeouts no
+    // longer apply, but the signal can still be used to cancel the download
+    release(res) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._request = null;
+        if (!this._signal)
+            return;
+
+        this._response = res;
+        const cleanup = () => {
+            this._response = null;
+            this._signal.removeEventListener('abort', this._onAbort);
+        };
+        res.once('end', cleanup);
+        res.once('close', cleanup);
+    }
+
+    finish() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._request = null;
+        if (this._signal && this._response === null)
+            this._signal.removeEventListener('abort', this._onAbort);
+    }
+
+    _fail(error) {
+        if (this.error !== null)
+            return;
+        this.error = error;
+        this._reject(error);
+        clearTimeout(this._timer);
+        this._timer = null;
+        clearTimeout(this._retryTimer);
+        this._retryTimer = null;
+
+        if (this._request)
+            this._request.destroy();
+        const response = this._response;
+        if (response) {
+            // older versions of node do not report the error passed to destroy()
+            // on the response itself, so we emit it explicitly
+            response.destroy();
+            if (response.listenerCount('error') > 0)
+                response.emit('error', error);
+        }
+    }
+}
+
+function httpRequestStream(url, method, data, options, uploadStream, downloadStream) {
     if (!options)
         options = {};
 
-    var parsed = Url.parse(url);
-    var proxy = process.env.THINGENGINE_PROXY;
-    if (proxy && (!parsed.port || parsed.port === 80 || parsed.port === 443)) {
-        parsed = Url.parse(proxy);
-        parsed.path = url;
+    const controller = new RequestController(url, options);
+    controller.start();
+
+    let request;
+    const cache = options.cache === true ? HttpCache.getDefaultStore() : (options.cache || null);
+    if (cache !== null && method === 'GET')
+        request = cachedHttpRequest(cache, url, options, downloadStream, controller);
+    else
+        request = doHttpRequestStream(url, method, data, options, uploadStream, downloadStream, controller, false);
+    return Promise.race([controller.failed, request]).then((result) => {
+        if (downloadStream) {
+            result.redirects = controller.redirects;
+            controller.release(result);
+        } else if (options.raw) {
+            // non-enumerable, so the result still compares equal to a plain tuple
+            Object.defineProperty(result, 'redirects', { value: controller.redirects });
+        }
+        controller.finish();
+        return result;
+    }, (err) => {
+        controller.finish();
+        throw err;
+    });
+}
+
+function parseCacheControl(value) {
+    const directives = {};
+    if (!value)
+        return directives;
+    for (let directive of value.split(',')) {
+        const [name, arg] = directive.trim().split('=');
+        directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/^"|"$/g, '');
+    }
+    return directives;
+}
+
+// the credentials of a request that do not come from OAuth: the `auth` option, or
+// the API key of the device passed as `useOAuth2`
+function getAuth(options) {
+    if (options.auth)
+        return options.auth;
+    if (options.useOAuth2 && options.useOAuth2.queryInterface)
+        return options.useOAuth2.queryInterface('api-key') || null;
+    return null;
+}
+
+// a string identifying the credentials of the request, or the empty string
+// if the request is not authenticated
+function getCredentials(options) {
+    let auth = getAuth(options) || '';
+    if (typeof auth === 'object')
+        auth = auth.cacheKey || '';
+    if (!auth && options.useOAuth2) {
+        let oauth2 = options.useOAuth2;
+        if (oauth2.queryInterface)
+            oauth2 = oauth2.queryInterface('oauth2');
+        if (oauth2 !== null)
+            auth = oauth2.accessToken || '';
     }
+    return auth;
+}
+
+// responses are cached separately for each set of credentials, cookies and request headers
+function getCacheKey(url, options) {
+    const auth = getCredentials(options);
+    const hash = crypto.createHash('sha256');
+    const cookie = options.cookieJar ? options.cookieJar.getCookieString(url) : '';
+    hash.update(JSON.stringify([url, auth, cookie, options.accept || '', options.extraHeaders || {}]));
+    return hash.digest('hex');
+}
+
+function getCacheExpiration(headers, now) {
+    const cacheControl = parseCacheControl(headers['cache-control']);
+    if (cacheControl['no-cache'])
+        return now;
+    const maxAge = parseInt(cacheControl['max-age'], 10);
+    if (isNaN(maxAge))
+        return now;
+    return now + maxAge * 1000;
+}
+
+function readResponse(res) {
+    return new Promise((resolve, reject) => {
+        const data = [];
+        let len = 0;
+        res.on('data', (chunk) => {
+            data.push(chunk);
+            len += chunk.length;
+        });
+        res.on('end', () => {
+            resolve(Buffer.concat(data, len));
+        });
+        res.on('error', reject);
+    });
+}
+
+// convert a buffered response to the result expected by the caller
+function makeResponse(body, status, headers, options, downloadStream) {
+    if (downloadStream) {
+        const str = new stream.PassThrough();
+        str.statusCode = status;
+        str.headers = headers;
+        str.end(body);
+        return str;
+    }
+    if (options.raw)
+        return [body, headers['content-type']];
+    else
+        return body.toString('utf8');
+}
+
+async function cachedHttpRequest(cache, url, options, downloadStream, controller) {
+    const key = getCacheKey(url, options);
+    let entry;
+    try {
+        entry = await cache.get(key);
+    } catch(e) {
+        console.error(`Failed to read HTTP cache entry for ${url}: ${e.message}`);
+    }
+    if (entry && entry.expires > Date.now())
+        return makeResponse(entry.body, entry.status, entry.headers, options, downloadStream);
+
+    const extraHeaders = Object.assign({}, options.extraHeaders);
+    if (entry) {
+        if (entry.etag)
+            extraHeaders['If-None-Match'] = entry.etag;
+        if (entry.lastModified)
+            extraHeaders['If-Modified-Since'] = entry.lastModified;
+        controller.acceptNotModified = true;
+    }
+    const res = await doHttpRequestStream(url, 'GET', null, Object.assign({}, options, { extraHeaders }),
+                                          false, true, controller, false);
+    const now = Date.now();
+
+    if (res.statusCode === 304) {
+        res.resume();
+        // the 304 response can update the validators and the freshness of the entry
+        const newEntry = Object.assign({}, entry, {
+            headers: Object.assign({}, entry.headers, res.headers),
+            etag: res.headers['etag'] || entry.etag,
+            lastModified: res.headers['last-modified'] || entry.lastModified,
+        });
+        newEntry.expires = getCacheExpiration(newEntry.headers, now);
+        await updateCache(cache, key, newEntry);
+        return makeResponse(entry.body, entry.status, entry.headers, options, downloadStream);
+    }
+
+    const body = await readResponse(res);
+    if (res.statusCode === 200) {
+        const cacheControl = parseCacheControl(res.headers['cache-control']);
+        const newEntry = {
+            url,
+            status: res.statusCode,
+            headers: res.headers,
+            body,
+            etag: res.headers['etag'],
+            lastModified: res.headers['last-modified'],
+            expires: getCacheExpiration(res.headers, now)
+        };
+        // like a shared cache, we don't store responses to authenticated requests
+        // unless the server explicitly allows it
+        const storable = !cacheControl['no-store'] && (cacheControl['public'] || !getCredentials(options));
+        if (storable && (newEntry.etag || newEntry.lastModified || newEntry.expires > now))
+            await updateCache(cache, key, newEntry);
+    }
+    return makeResponse(body, res.statusCode, res.headers, options, downloadStream);
+}
+
+async function updateCache(cache, key, entry) {
+    try {
+        await cache.set(key, entry);
+    } catch(e) {
+        console.error(`Failed to update HTTP cache entry for ${entry.url}: ${e.message}`);
+    }
+}
+
+// brotli is only available in node 10.16.0 and later
+const ACCEPT_ENCODING = zlib.createBrotliDecompress ? 'gzip, deflate, br' : 'gzip, deflate';
+
+// be lenient with truncated responses, like browsers are
+const ZLIB_OPTIONS = {
+    flush: zlib.constants.Z_SYNC_FLUSH,
+    finishFlush: zlib.constants.Z_SYNC_FLUSH
+};
+
+function createDecoder(encoding) {
+    switch (encoding) {
+    case 'gzip':
+    case 'x-gzip':
+        return zlib.createGunzip(ZLIB_OPTIONS);
+    case 'deflate':
+        return zlib.createInflate(ZLIB_OPTIONS);
+    case 'br':
+        return zlib.createBrotliDecompress ? zlib.createBrotliDecompress() : null;
+    default:
+        return null;
+    }
+}
+
+// wrap the response in a stream that decodes the content encoding, if any
+//
+// the returned stream has the same statusCode and headers properties as
+// the response, so callers can use it in place of the response
+function decodeResponse(res, method, options) {
+    if (options.decompress === false || method === 'HEAD' || res.statusCode === 204 || res.statusCode === 304)
+        return res;
+    const encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+    if (encoding === '' || encoding === 'identity')
+        return res;
+    const decoder = createDecoder(encoding);
+    if (decoder === null)
+        return res;
+
+    decoder.statusCode = res.statusCode;
+    decoder.statusMessage = res.statusMessage;
+    decoder.headers = Object.assign({}, res.headers);
+    delete decoder.headers['content-encoding'];
+    delete decoder.headers['content-length'];
+
+    res.on('error', (err) => decoder.destroy(err));
+    decoder.on('close', () => {
+        // the consumer destroyed the stream early, tear down the connection
+        if (!res.complete)
+            res.destroy();
+    });
+    res.pipe(decoder);
+    return decoder;
+}
+
+function getRateLimiter(url, rateLimit) {
+    if (rateLimit instanceof RateLimiter)
+        return rateLimit;
+    const key = rateLimit.key || ('host:' + Url.parse(url).host);
+    return RateLimiter.get(key, rateLimit);
+}
+
+function doHttpRequestStream(url, method, data, options, uploadStream, downloadStream, controller, attemptedAuth) {
+    if (!options.rateLimit)
+        return sendHttpRequest(url, method, data, options, uploadStream, downloadStream, controller, attemptedAuth);
+
+    // every request counts against the limit, including redirects and retries;
+    // if the request is aborted or times out while queued, it leaves the queue
+    return getRateLimiter(url, options.rateLimit).acquire(undefined, controller.failed).then(() =>
+        sendHttpRequest(url, method, data, options, uploadStream, downloadStream, controller, attemptedAuth));
+}
 
-    parsed.method = method;
-    parsed.headers = {};
+// middleware registered with addMiddleware(), applied to all requests
+const _middleware = [];
+
+function getMiddleware(options) {
+    // devices usually pass only themselves as useOAuth2, so we take the platform from there
+    let platform = options.platform;
+    if (!platform && options.useOAuth2)
+        platform = options.useOAuth2.platform;
+
+    let platformMiddleware = null;
+    // duck-typed platforms (eg. in tests) might not implement getCapability
+    if (platform && typeof platform.getCapability === 'function')
+        platformMiddleware = platform.getCapability('http-middleware');
+    if (platformMiddleware)
+        return _middleware.concat(platformMiddleware);
+    else
+        return _middleware;
+}
+
+function runMiddleware(middleware, index, request, transport) {
+    if (index >= middleware.length)
+        return transport(request);
+
+    return new Promise((resolve) => {
+        const next = (nextRequest = request) => runMiddleware(middleware, index+1, nextRequest, transport);
+        resolve(middleware[index](request, next));
+    });
+}
+
+function createResponse(status, headers = {}, body = '') {
+    const response = new stream.PassThrough();
+    response.statusCode = status;
+    response.statusMessage = http.STATUS_CODES[status] || '';
+    response.headers = {};
+    for (let name in headers)
+        response.headers[name.toLowerCase()] = headers[name];
+    response.end(body);
+    return response;
+}
+
+function transport(request, controller) {
+    const parsed = Url.parse(request.url);
+    const proxy = getProxy(parsed, request.options);
+    const data = request.body;
+    parsed.method = request.method;
+    parsed.headers = request.headers;
+
+    return new Promise((resolve, reject) => {
+        function send(requestOptions) {
+            const req = getModule(requestOptions).request(requestOptions, resolve);
+            controller.attach(req);
+            req.on('error', reject);
+            if (data) {
+                if (typeof data.pipe === 'function')
+                    data.pipe(req);
+                else
+                    req.end(data);
+            } else {
+                req.end();
+            }
+        }
+
+        if (proxy === null) {
+            send(parsed);
+        } else if (parsed.protocol === 'https:') {
+            openTunnel(proxy, parsed, controller).then((socket) => {
+                if (controller.error) {
+                    socket.destroy();
+                    return;
+                }
+                // the tunnel is already established, so we bypass the connection pool
+                // and run TLS on top of the tunnel socket; the certificate is verified
+                // against the target host, and SNI is only sent for DNS names
+                const tlsOptions = { socket, host: parsed.hostname };
+                if (!net.isIP(parsed.hostname))
+                    tlsOptions.servername = parsed.hostname;
+                parsed.createConnection = () => tls.connect(tlsOptions);
+                send(parsed);
+            }, reject);
+        } else {
+            // plain HTTP requests are sent to the proxy with the full URL as the path
+            const proxied = Url.parse(Url.format(proxy));
+            proxied.method = request.method;
+            proxied.path = request.url;
+            proxied.headers = Object.assign({ 'Host': parsed.host }, getProxyHeaders(proxy), request.headers);
+            send(proxied);
+        }
+    });
+}
+
+// refresh OAuth tokens this long before they expire, to account for clock skew and request latency
+const TOKEN_REFRESH_MARGIN = 60000;
+
+// credentials obtained with the authorization code grant can be refreshed if we have a refresh token,
+// while other grants (e.g. client credentials) can always request a new token, and say so explicitly
+function canRefresh(oauth2) {
+    return !!(oauth2.refreshToken || oauth2.canRefreshCredentials);
+}
+
+function isTokenExpiring(oauth2, margin = TOKEN_REFRESH_MARGIN) {
+    if (!canRefresh(oauth2))
+        return false;
+    if (!oauth2.accessToken)
+        return true;
+    const expires = oauth2.accessTokenExpires;
+    return typeof expires === 'number' && expires - margin <= Date.now();
+}
+
+// a body that is a stream has already been consumed by the first request, so it cannot be sent again
+function canResend(data) {
+    return data === null || data === undefined || typeof data === 'string' || Buffer.isBuffer(data);
+}
+
+// the parameters of a form body, which are covered by some authentication schemes (e.g. OAuth 1.0a)
+function getFormParams(data, options) {
+    const contentType = options.dataContentType || (data ? data.contentType : null);
+    if (!contentType || !/^application\/x-www-form-urlencoded\s*(;|$)/i.test(contentType))
+        return null;
+    if (typeof data !== 'string' && !Buffer.isBuffer(data))
+        return null;
+    return Object.assign({}, qs.parse(data.toString('utf8')));
+}
+
+function sendHttpRequest(url, method, data, options, uploadStream, downloadStream, controller, attemptedAuth) {
+    if (controller.error)
+        return Promise.reject(controller.error);
+
+    var headers = {};
 
     var oauth2 = null;
-    if (options.auth) {
-        parsed.headers['Authorization'] = options.auth;
+    var authenticator = null;
+    const auth = getAuth(options);
+    if (auth && typeof auth.getAuthorization === 'function') {
+        authenticator = auth;
+        const authorization = authenticator.getAuthorization(method, url, getFormParams(data, options));
+        if (authorization !== null)
+            headers['Authorization'] = authorization;
+    } else if (auth) {
+        headers['Authorization'] = auth;
     } else if (options.useOAuth2) {
         oauth2 = options.useOAuth2;
         if (oauth2.queryInterface)
             oauth2 = oauth2.queryInterface('oauth2');
 
         if (oauth2 !== null) {
+            // refresh the token before it expires, rather than waiting for the request to fail
+            if (!attemptedAuth && !controller.refreshFailed && isTokenExpiring(oauth2)) {
+                return oauth2.refreshCredentials().then(() =>
+                    sendHttpRequest(url, method, data, options, uploadStream, downloadStream, controller, true), (e) => {
+                    // if the token has not expired yet, we can still use it, and we only
+                    // report the error if the server rejects it
+                    if (isTokenExpiring(oauth2, 0))
+                        throw e;
+                    console.error(`Failed to refresh OAuth 2 credentials before they expire: ${e.message}`);
+                    controller.refreshFailed = true;
+                    return sendHttpRequest(url, method, data, options, uploadStream, downloadStream, controller, false);
+                });
+            }
+
             var authMethod = options.authMethod || 'Bearer';
-            parsed.headers['Authorization'] = authMethod + ' ' + oauth2.accessToken;
+            headers['Authorization'] = authMethod + ' ' + oauth2.accessToken;
         }
     }
     if (options.accept)
-        parsed.headers['Accept'] = options.accept;
+        headers['Accept'] = options.accept;
     if (options.dataContentType)
-        parsed.headers['Content-Type'] = options.dataContentType;
+        headers['Content-Type'] = options.dataContentType;
+    else if (data && typeof data.contentType === 'string')
+        headers['Content-Type'] = data.contentType;
     if (options['user-agent'])
-        parsed.headers['User-Agent'] = options['user-agent'];
+        headers['User-Agent'] = options['user-agent'];
     else // add a default user agent
-        parsed.headers['User-Agent'] = 'Thingpedia/1.0.0 nodejs/' + process.version;
+        headers['User-Agent'] = 'Thingpedia/1.0.0 nodejs/' + process.version;
+    headers['Accept-Encoding'] = ACCEPT_ENCODING;
+    if (options.cookieJar) {
+        const cookie = options.cookieJar.getCookieString(url);
+        if (cookie)
+            headers['Cookie'] = cookie;
+    }
     if (options.extraHeaders)
-        Object.assign(parsed.headers, options.extraHeaders);
+        Object.assign(headers, options.extraHeaders);
     if (options.debug === undefined)
         options.debug = true;
 
     var ignoreErrors = !!options.ignoreErrors;
 
+    function retryLater(status, error, retryAfter) {
+        const delay = controller.getRetryDelay(method, uploadStream, status, error, retryAfter);
+        if (delay === null)
+            return null;
+        return controller.wait(delay).then(() =>
+            doHttpRequestStream(url, method, data, options, uploadStream, downloadStream, controller, attemptedAuth));
+    }
+
     return new Promise((callback, errback) => {
-        var req = getModule(parsed).request(parsed, (res) => {
+        function onResponse(res) {
+            // store the cookies first, so they are sent along with redirects
+            if (options.cookieJar && res.headers['set-cookie'])
+                options.cookieJar.setCookies(url, res.headers['set-cookie']);
+
             if ((options.followRedirects === true || options.followRedirects === undefined) &&
                 (res.statusCode === 302 || res.statusCode === 301 ||
                  res.statusCode === 308 || res.statusCode === 307)) {
                 res.resume();
-                const redirect = Url.resolve(url, res.headers['location']);
-                callback(httpRequestStream(redirect, method, data, options,
-                                           uploadStream, downloadStream));
+                followRedirect(res, method, data, uploadStream);
                 return;
             }
             if ((options.followRedirects === true || options.followRedirects === undefined) &&
                 res.statusCode === 303) {
                 res.resume();
-                const redirect = Url.resolve(url, res.headers['location']);
-                callback(httpRequestStream(redirect, 'GET', null, options,
-                                           false, downloadStream));
+                followRedirect(res, 'GET', null, false);
                 return;
             }
-            if (!ignoreErrors && res.statusCode === 401 && oauth2 !== null && !attemptedOAuth2 && oauth2.refreshToken) {
+            if (!ignoreErrors && res.statusCode === 401 && authenticator !== null && !attemptedAuth &&
+                typeof authenticator.handleChallenge === 'function' && canResend(data)) {
+                // discard the body first, so the socket is released even if the challenge is invalid
+                res.resume();
+                if (authenticator.handleChallenge(res.headers['www-authenticate'])) {
+                    callback(doHttpRequestStream(url, method, data, options, uploadStream, downloadStream, controller, true));
+                    return;
+                }
+            }
+            if (!ignoreErrors && res.statusCode === 401 && oauth2 !== null && !attemptedAuth && canRefresh(oauth2)) {
                 res.resume();
                 console.log('Refreshing OAuth 2 credentials for failure in request to ' + url);
                 callback(oauth2.refreshCredentials().then(() =>
-                    httpRequestStream(url, method, data, options, uploadStream, downloadStream, true)));
+                    doHttpRequestStream(url, method, data, options, uploadStream, downloadStream, controller, true)));
                 return;
             }
-            if (!ignoreErrors && res.statusCode >= 300) {
+            const retry = retryLater(res.statusCode, null, parseRetryAfter(res.headers['retry-after']));
+            if (retry !== null) {
+                res.resume();
+                callback(retry);
+                return;
+            }
+            const body = decodeResponse(res, method, options);
+            if (!ignoreErrors && res.statusCode >= 300 && !(res.statusCode === 304 && controller.acceptNotModified)) {
                 let data = '';
-                res.setEncoding('utf8');
-                res.on('data', (chunk) => {
+                body.on('error', errback);
+                body.setEncoding('utf8');
+                body.on('data', (chunk) => {
                     data += chunk;
                 });
-                res.on('end', () => {
+                body.on('end', () => {
                     if (options.debug && (res.statusCode !== 301 && res.statusCode !== 302 && res.statusCode !== 303))
                         console.log('HTTP request failed: ' + data);
 
-                    var error = new Error('Unexpected HTTP error ' + res.statusCode);
-                    error.detail = data;
-                    error.code = res.statusCode;
+                    let redirect = undefined;
                     if (res.statusCode >= 300 && res.statusCode < 400)
-                        error.redirect = Url.resolve(url, res.headers['location']);
-                    errback(error);
+                        redirect = Url.resolve(url, res.headers['location']);
+                    errback(new HttpError(res.statusCode, { url, method, headers: res.headers, body: data, redirect }));
                 });
                 return;
             }
 
             if (downloadStream) {
-                callback(res);
+                callback(body);
             } else {
+                body.on('error', errback);
                 if (options.raw) {
                     let data = [];
                     let len = 0;
-                    res.on('data', (chunk) => {
+                    body.on('data', (chunk) => {
                         data.push(chunk);
                         len += chunk.length;
                     });
-                    res.on('end', () => {
+                    body.on('end', () => {
                         callback([Buffer.concat(data, len), res.headers['content-type']]);
                     });
                 } else {
                     let data = '';
-                    res.setEncoding('utf8');
-                    res.on('data', (chunk) => {
+                    body.setEncoding('utf8');
+                    body.on('data', (chunk) => {
                         data += chunk;
                     });
-                    res.on('end', () => {
+                    body.on('end', () => {
                         callback(data);
                     });
                 }
             }
-        });
-        req.on('error', (err) => {
-            errback(err);
-        });
-        if (data) {
-            if (uploadStream)
-                data.pipe(req);
+        }
+        function followRedirect(res, newMethod, newData, newUploadStream) {
+            const maxRedirects = options.maxRedirects === undefined ? DEFAULT_MAX_REDIRECTS : options.maxRedirects;
+            if (controller.redirects.length >= maxRedirects) {
+                const originalUrl = controller.redirects.length > 0 ? controller.redirects[0].url : url;
+                errback(new TooManyRedirectsError(originalUrl, controller.redirects));
+                return;
+            }
+
+            const redirect = Url.resolve(url, res.headers['location']);
+            const hop = { url, status: res.statusCode, location: redirect };
+            controller.redirects.push(hop);
+            if (options.onRedirect)
+                options.onRedirect(hop);
+
+            // don't leak credentials to a different server
+            let newOptions = options;
+            if (getOrigin(redirect) !== getOrigin(url))
+                newOptions = stripCredentials(options);
+            callback(doHttpRequestStream(redirect, newMethod, newData, newOptions,
+                                         newUploadStream, downloadStream, controller, false));
+        }
+        function onError(err) {
+            const retry = retryLater(null, err, null);
+            if (retry !== null)
+                callback(retry);
             else
-                req.end(data);
-        } else {
-            req.end();
+                errback(err);
         }
+
+        const request = { url, method, headers, body: data, options };
+        if (authenticator !== null && typeof authenticator.authenticate === 'function')
+            authenticator.authenticate(request);
+        // an exception while processing the response (e.g. an unsupported authentication
+        // challenge) fails the request
+        runMiddleware(getMiddleware(options), 0, request, (request) => transport(request, controller))
+            .then(onResponse, onError).catch(errback);
     });
 }
 
 function httpRequest(url, method, data, options) {
-    return httpRequestStream(url, method, data, options, false, false);
+    // streams, such as multipart forms, are always uploaded as streams
+    return httpRequestStream(url, method, data, options, data instanceof stream.Readable, false);
 }
 
 function httpUploadStream(url, method, data, options) {
@@ -169,9 +953,215 @@ function httpDownloadStream(url, method, data, options) {
     return httpRequestStream(url, method, data, options, false, true);
 }
 
+// parse a Link header (RFC 8288) and return the target of the link with the given relation
+function getLink(header, url, rel) {
+    if (!header)
+        return null;
+    if (Array.isArray(header))
+        header = header.join(', ');
+
+    const regexp = /<([^>]*)>((?:\s*;\s*[^;,="\s]+\s*(?:=\s*(?:"[^"]*"|[^;,]*))?)*)/g;
+    let match;
+    while ((match = regexp.exec(header)) !== null) {
+        const relMatch = /;\s*rel\s*=\s*(?:"([^"]*)"|([^;,\s]*))/i.exec(match[2]);
+        if (relMatch === null)
+            continue;
+        const rels = (relMatch[1] || relMatch[2]).toLowerCase().split(/\s+/);
+        if (rels.includes(rel))
+            return Url.resolve(url, match[1]);
+    }
+    return null;
+}
+
+function setQueryParams(url, params) {
+    const parsed = Url.parse(url, true);
+    delete parsed.search;
+    Object.assign(parsed.query, params);
+    return Url.format(parsed);
+}
+
+// the async iterator returned by Http.paginate()
+class PageIterator extends Paginator {
+    constructor(url, options) {
+        super(options);
+        this._style = options.pagination || 'link';
+        if (!PAGINATION_STYLES.includes(this._style))
+            throw new TypeError(`Invalid pagination style ${this._style}`);
+
+        this._options = options;
+        this._pageSize = options.pageSize;
+
+        this._url = url;
+        this._seen = new Set;
+
+        if (this._style === 'page')
+            this._position = options.firstPage !== undefined ? options.firstPage : 1;
+        else if (this._style === 'offset')
+            this._position = 0;
+        else
+            this._position = null;
+    }
+
+    _getPageUrl() {
+        const params = {};
+        if (this._style === 'page' || this._style === 'offset') {
+            params[this._options.pageParam || this._style] = this._position;
+            if (this._pageSize !== undefined && this._options.pageSizeParam)
+                params[this._options.pageSizeParam] = this._pageSize;
+        } else if (this._style === 'cursor' && this._position !== null) {
+            params[this._options.cursorParam || 'cursor'] = this._position;
+        } else {
+            return this._url;
+        }
+        return setQueryParams(this._url, params);
+    }
+
+    async _fetchPage() {
+        const url = this._getPageUrl();
+        // stop if the server sends us in a loop
+        if (this._seen.has(url)) {
+            this._done = true;
+            return;
+        }
+        this._seen.add(url);
+
+        const options = Object.assign({ accept: 'application/json' }, this._options);
+        const response = await httpDownloadStream(url, 'GET', null, options);
+        const body = (await readResponse(response)).toString('utf8');
+        const parsed = body ? JSON.parse(body) : null;
+
+        let items = parsed;
+        if (this._options.items !== undefined)
+            items = getProperty(parsed, this._options.items, response);
+        if (items === null || items === undefined)
+            items = [];
+        if (!Array.isArray(items))
+            throw new Error(`Unexpected response from ${url}: expected a list of results`);
+        this._buffer.push(...items);
+
+        switch (this._style) {
+        case 'link':
+            this._url = getLink(response.headers['link'], url, 'next');
+            if (this._url === null)
+                this._done = true;
+            break;
+
+        case 'cursor': {
+            const cursor = getProperty(parsed, this._options.nextCursor || 'next_cursor', response);
+            if (cursor === null || cursor === undefined || cursor === '' || items.length === 0)
+                this._done = true;
+            else
+                this._position = cursor;
+            break;
+        }
+
+        case 'page':
+        case 'offset':
+            // a short page is the last one
+            if (items.length === 0 || (this._pageSize !== undefined && items.length < this._pageSize))
+                this._done = true;
+            else
+                this._position += this._style === 'page' ? 1 : items.length;
+            break;
+        }
+    }
+}
+
+/**
+ * Callback called before retrying a failed request.
+ *
+ * @callback Helpers.Http~RetryCallback
+ * @param {Object} info - information about the failed attempt
+ * @param {string} info.url - the URL of the request
+ * @param {string} info.method - the HTTP method of the request
+ * @param {number} info.attempt - the number of the attempt that failed, starting from 1
+ * @param {number} info.maxAttempts - the maximum number of attempts
+ * @param {number} info.delay - how long until the next attempt, in milliseconds
+ * @param {number|null} info.status - the HTTP status of the failed attempt, if the server responded
+ * @param {Error|null} info.error - the network error of the failed attempt, if the server did not respond
+ */
+
+/**
+ * A redirect followed by {@link Helpers.Http}.
+ *
+ * When redirected to a different origin (scheme, host and port), the `Authorization` and
+ * `Cookie` headers, including those computed from the `auth` and `useOAuth2` options, are
+ * not sent to the new location. Cookies in a cookie jar are still sent if they match the new URL.
+ *
+ * @typedef {Object} Helpers.Http~Redirect
+ * @property {string} url - the URL that was redirected
+ * @property {number} status - the HTTP status of the redirect
+ * @property {string} location - the URL of the new location
+ */
+
+/**
+ * An object computing the `Authorization` header for each request.
+ *
+ * Pass it as the `auth` option to {@link Helpers.Http}.
+ *
+ * @typedef {Object} Helpers.Http~Authenticator
+ * @property {function(string, string, Object|null):string|null} getAuthorization - compute the `Authorization` header
+ *           given the method, the URL and, for `application/x-www-form-urlencoded` bodies, the form parameters;
+ *           it can return `null` to send no `Authorization` header
+ * @property {function(string|undefined):boolean} [handleChallenge] - process the `WWW-Authenticate` header of a
+ *           401 response; if it returns `true`, the request is repeated once with a new `Authorization` header
+ * @property {string} [cacheKey] - a string identifying the credentials, so that cached responses are not shared
+ *           between different credentials
+ * @property {function(Helpers.Http~Request)} [authenticate] - add credentials to the request other than the
+ *           `Authorization` header, such as a custom header or a query parameter; it is called before middleware
+ */
+
+/**
+ * An outgoing HTTP request, as seen by middleware.
+ *
+ * Middleware can modify the URL, method, headers and body in place, or pass a different
+ * request object to the next middleware.
+ *
+ * @typedef {Object} Helpers.Http~Request
+ * @property {string} url - the URL of the request
+ * @property {string} method - the HTTP method of the request
+ * @property {Object.<string,string>} headers - the request headers
+ * @property {string|Buffer|stream.Readable|null} body - the request body
+ * @property {Object} options - the options passed to {@link Helpers.Http}; they should not be modified
+ */
+
+/**
+ * An HTTP response, as seen by middleware.
+ *
+ * This is an [`http.IncomingMessage`](https://nodejs.org/api/http.html#http_class_http_incomingmessage)
+ * for responses received from the network, or any `stream.Readable` with the same `statusCode` and
+ * `headers` properties, such as those returned by {@link Helpers.Http.createResponse}.
+ * The body has not been decompressed yet.
+ *
+ * @typedef {stream.Readable} Helpers.Http~Response
+ * @property {number} statusCode - the HTTP status code
+ * @property {Object.<string,string|string[]>} headers - the response headers, with lowercase names
+ */
+
+/**
+ * A function intercepting HTTP requests.
+ *
+ * Middleware is called for every request sent on the network, including redirects and retries.
+ * It should call `next` to pass the request on to the next middleware (and eventually to the network),
+ * and return the response, which it can inspect or replace. It can also return a synthetic
+ * response without calling `next`.
+ *
+ * @callback Helpers.Http~Middleware
+ * @param {Helpers.Http~Request} request - the request to send
+ * @param {function(Helpers.Http~Request=):Promise<Helpers.Http~Response>} next - send the request to the next middleware;
+ *                                                                               it optionally takes a replacement request
+ * @return {Helpers.Http~Response} the response
+ * @async
+ */
+
 /**
  * HTTP Helpers.
  *
+ * Requests can be intercepted with middleware, registered globally with {@link Helpers.Http.addMiddleware},
+ * or per platform through the `http-middleware` platform capability, which should return an array
+ * of {@link Helpers.Http~Middleware}. Global middleware runs first. Platform middleware applies
+ * to requests made with the `platform` option, or on behalf of a device passed as `useOAuth2`.
+ *
  * @namespace
  * @alias Helpers.Http
  */
@@ -181,23 +1171,70 @@ module.exports = {
      *
      * @param {string} url - the URL to POST to
      * @param {string} method - the HTTP method to use
-     * @param {string|null} data - the content of the request body; you can pass `null` for an empty body
+     * @param {string|Buffer|stream.Readable|null} data - the content of the request body; you can pass `null` for an empty body,
+     *                                                  or use {@link Helpers.Form} to build a form body
      * @param {Object} [options] - request options
-     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header
-     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header; it defaults to the
+     *                                             `contentType` property of `data`, if any
+     * @param {string|Helpers.Http~Authenticator} [options.auth] - the value of `Authorization` header, or an object
+     *                                                            computing it for each request, such as {@link Helpers.DigestAuth}
      * @param {string} [options.accept] - the value of `Accept` header
      * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
      *                                           device based on the OAuth 2.0 standard; using this option also enables
-     *                                           automatic refresh token handling (if the refresh token exists); this
-     *                                           option is ignored if `auth` is also set
+     *                                           automatic refresh token handling (if the refresh token exists, or the
+     *                                           device uses the client credentials grant), before the access token
+     *                                           expires and after a 401 response; devices configured with an API key
+     *                                           send their key instead; this option is ignored if `auth` is also set
      * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
      *                                        this option is ignored unless `useOAuth2` is set
      * @param {string} [options.user-agent] - set the `User-Agent` header; if unset a default user agent is used
      * @param {Object.<string,string>} [options.extraHeaders] - other request headers to set
      * @param {boolean} [options.ignoreErrors=false] - set to `true` to ignore errors (HTTP statuses 300 and higher)
      * @param {boolean} [options.followRedirects=true] - set to `false` to disable automatic handling of HTTP redirects (status 301, 302 and 303)
+     * @param {number|Object} [options.timeout] - the maximum time to wait for the request to complete, in milliseconds, including
+     *                                         any redirect; pass an object with `connect` and `total` properties to also limit
+     *                                         the time to establish each connection
+     * @param {AbortSignal} [options.signal] - a signal that can be used to cancel the request
+     * @param {boolean|Object} [options.retry] - retry the request automatically after transient failures; pass `true`
+     *                                          to use the default policy, or an object to customize it
+     * @param {number} [options.retry.maxAttempts=3] - the maximum number of attempts, including the first one
+     * @param {number} [options.retry.minDelay=1000] - the delay before the first retry, in milliseconds; the delay doubles
+     *                                                at every attempt, and is randomized to avoid synchronized retries
+     * @param {number} [options.retry.maxDelay=30000] - the maximum delay between two attempts, in milliseconds; if the server
+     *                                                 requests a longer delay with `Retry-After`, the request is not retried
+     * @param {number[]} [options.retry.statuses] - the HTTP statuses to retry (defaults to 429, 502, 503 and 504)
+     * @param {string[]} [options.retry.errors] - the network error codes to retry (defaults to `ECONNRESET`, `ECONNREFUSED`,
+     *                                           `EPIPE` and `EAI_AGAIN`)
+     * @param {string[]} [options.retry.methods] - the HTTP methods to retry (defaults to idempotent methods only)
+     * @param {Helpers.Http~RetryCallback} [options.retry.onRetry] - a function called before each retry
+     * @param {Helpers.RateLimiter|Object} [options.rateLimit] - limit the rate of requests; pass an object with the same
+     *                                                         options as the {@link Helpers.RateLimiter} constructor to
+     *                                                         use a limiter shared with all other requests with the same key
+     * @param {string} [options.rateLimit.key] - the key of the shared limiter (defaults to the host of the request)
+     * @param {boolean|Helpers.HttpCache~CacheStore} [options.cache] - cache responses to GET requests in the given store, or
+     *                                                                in the shared in-memory store if `true`; cached responses
+     *                                                                are revalidated with `ETag` and `Last-Modified`, and are
+     *                                                                reused without revalidation until `Cache-Control: max-age`
+     *                                                                expires; note that streaming responses are buffered if
+     *                                                                this option is set
+     * @param {boolean} [options.decompress=true] - set to `false` to receive the response body as encoded by the server;
+     *                                             by default, compressed responses (gzip, deflate and brotli) are decoded
+     *                                             transparently
+     * @param {Helpers.CookieJar} [options.cookieJar] - store the cookies set by the server in the given jar, and send
+     *                                              the cookies in the jar that match the request URL
+     * @param {string|boolean} [options.proxy] - the URL of the HTTP proxy to use for this request, or `false` to connect
+     *                                          directly; by default, the proxy is taken from the `HTTP_PROXY`,
+     *                                          `HTTPS_PROXY` and `NO_PROXY` environment variables; credentials in the
+     *                                          proxy URL are sent with `Proxy-Authorization`
+     * @param {BasePlatform} [options.platform] - the platform making the request, used to apply platform-specific middleware;
+     *                                            defaults to the platform of the `useOAuth2` device
+     * @param {number} [options.maxRedirects=10] - the maximum number of redirects to follow; if more redirects are necessary,
+     *                                           the request fails with a {@link TooManyRedirectsError}
+     * @param {function(Helpers.Http~Redirect)} [options.onRedirect] - called for each redirect that is followed
      * @param {boolean} [options.raw=false] - return the binary response body instead of converting to a string
-     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type.
+     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type;
+     *                        the tuple also has a `redirects` property, containing the list of {@link Helpers.Http~Redirect}
+     *                        that were followed
      * @function
      * @async
      */
@@ -208,27 +1245,72 @@ module.exports = {
      *
      * If `options.raw` is set, returns a tuple of the response (as a `Buffer`) and the `Content-Type` header.
      * Otherwise, it returns the response body as a string.
-     * If the HTTP request fails (returns a status code greater or equal to 300), the promise is rejected.
-     * The resulting `Error` object will have a `code` property containing the actual HTTP status code.
+     * If the HTTP request fails (returns a status code greater or equal to 300), the promise is rejected
+     * with a {@link HttpError}, which contains the status code, the response headers and the response body.
      * If the HTTP status code is a redirect (between 300 and 399 inclusive), the `redirect` property
      * on the error will contain the value of the `Location` header.
      *
      * @param {string} url - the URL to retrieve
      * @param {Object} [options] - request options
-     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {string|Helpers.Http~Authenticator} [options.auth] - the value of `Authorization` header, or an object
+     *                                                            computing it for each request, such as {@link Helpers.DigestAuth}
      * @param {string} [options.accept] - the value of `Accept` header
      * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
      *                                           device based on the OAuth 2.0 standard; using this option also enables
-     *                                           automatic refresh token handling (if the refresh token exists); this
-     *                                           option is ignored if `auth` is also set
+     *                                           automatic refresh token handling (if the refresh token exists, or the
+     *                                           device uses the client credentials grant), before the access token
+     *                                           expires and after a 401 response; devices configured with an API key
+     *                                           send their key instead; this option is ignored if `auth` is also set
      * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
      *                                        this option is ignored unless `useOAuth2` is set
      * @param {string} [options.user-agent] - set the `User-Agent` header; if unset a default user agent is used
      * @param {Object.<string,string>} [options.extraHeaders] - other request headers to set
      * @param {boolean} [options.ignoreErrors=false] - set to `true` to ignore errors (HTTP statuses 300 and higher)
      * @param {boolean} [options.followRedirects=true] - set to `false` to disable automatic handling of HTTP redirects (status 301, 302 and 303)
+     * @param {number|Object} [options.timeout] - the maximum time to wait for the request to complete, in milliseconds, including
+     *                                         any redirect; pass an object with `connect` and `total` properties to also limit
+     *                                         the time to establish each connection
+     * @param {AbortSignal} [options.signal] - a signal that can be used to cancel the request
+     * @param {boolean|Object} [options.retry] - retry the request automatically after transient failures; pass `true`
+     *                                          to use the default policy, or an object to customize it
+     * @param {number} [options.retry.maxAttempts=3] - the maximum number of attempts, including the first one
+     * @param {number} [options.retry.minDelay=1000] - the delay before the first retry, in milliseconds; the delay doubles
+     *                                                at every attempt, and is randomized to avoid synchronized retries
+     * @param {number} [options.retry.maxDelay=30000] - the maximum delay between two attempts, in milliseconds; if the server
+     *                                                 requests a longer delay with `Retry-After`, the request is not retried
+     * @param {number[]} [options.retry.statuses] - the HTTP statuses to retry (defaults to 429, 502, 503 and 504)
+     * @param {string[]} [options.retry.errors] - the network error codes to retry (defaults to `ECONNRESET`, `ECONNREFUSED`,
+     *                                           `EPIPE` and `EAI_AGAIN`)
+     * @param {string[]} [options.retry.methods] - the HTTP methods to retry (defaults to idempotent methods only)
+     * @param {Helpers.Http~RetryCallback} [options.retry.onRetry] - a function called before each retry
+     * @param {Helpers.RateLimiter|Object} [options.rateLimit] - limit the rate of requests; pass an object with the same
+     *                                                         options as the {@link Helpers.RateLimiter} constructor to
+     *                                                         use a limiter shared with all other requests with the same key
+     * @param {string} [options.rateLimit.key] - the key of the shared limiter (defaults to the host of the request)
+     * @param {boolean|Helpers.HttpCache~CacheStore} [options.cache] - cache responses to GET requests in the given store, or
+     *                                                                in the shared in-memory store if `true`; cached responses
+     *                                                                are revalidated with `ETag` and `Last-Modified`, and are
+     *                                                                reused without revalidation until `Cache-Control: max-age`
+     *                                                                expires; note that streaming responses are buffered if
+     *                                                                this option is set
+     * @param {boolean} [options.decompress=true] - set to `false` to receive the response body as encoded by the server;
+     *                                             by default, compressed responses (gzip, deflate and brotli) are decoded
+     *                                             transparently
+     * @param {Helpers.CookieJar} [options.cookieJar] - store the cookies set by the server in the given jar, and send
+     *                                              the cookies in the jar that match the request URL
+     * @param {string|boolean} [options.proxy] - the URL of the HTTP proxy to use for this request, or `false` to connect
+     *                                          directly; by default, the proxy is taken from the `HTTP_PROXY`,
+     *                                          `HTTPS_PROXY` and `NO_PROXY` environment variables; credentials in the
+     *                                          proxy URL are sent with `Proxy-Authorization`
+     * @param {BasePlatform} [options.platform] - the platform making the request, used to apply platform-specific middleware;
+     *                                            defaults to the platform of the `useOAuth2` device
+     * @param {number} [options.maxRedirects=10] - the maximum number of redirects to follow; if more redirects are necessary,
+     *                                           the request fails with a {@link TooManyRedirectsError}
+     * @param {function(Helpers.Http~Redirect)} [options.onRedirect] - called for each redirect that is followed
      * @param {boolean} [options.raw=false] - return the binary response body instead of converting to a string
-     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type.
+     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type;
+     *                        the tuple also has a `redirects` property, containing the list of {@link Helpers.Http~Redirect}
+     *                        that were followed
      * @async
      */
     get(url, options) { return httpRequest(url, 'GET', null, options); },
@@ -237,23 +1319,70 @@ module.exports = {
      * Perform a buffered HTTP POST.
      *
      * @param {string} url - the URL to POST to
-     * @param {string|null} data - the content of the request body; you can pass `null` for an empty body
+     * @param {string|Buffer|stream.Readable|null} data - the content of the request body; you can pass `null` for an empty body,
+     *                                                  or use {@link Helpers.Form} to build a form body
      * @param {Object} [options] - request options
-     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header
-     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header; it defaults to the
+     *                                             `contentType` property of `data`, if any
+     * @param {string|Helpers.Http~Authenticator} [options.auth] - the value of `Authorization` header, or an object
+     *                                                            computing it for each request, such as {@link Helpers.DigestAuth}
      * @param {string} [options.accept] - the value of `Accept` header
      * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
      *                                           device based on the OAuth 2.0 standard; using this option also enables
-     *                                           automatic refresh token handling (if the refresh token exists); this
-     *                                           option is ignored if `auth` is also set
+     *                                           automatic refresh token handling (if the refresh token exists, or the
+     *                                           device uses the client credentials grant), before the access token
+     *                                           expires and after a 401 response; devices configured with an API key
+     *                                           send their key instead; this option is ignored if `auth` is also set
      * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
      *                                        this option is ignored unless `useOAuth2` is set
      * @param {string} [options.user-agent] - set the `User-Agent` header; if unset a default user agent is used
      * @param {Object.<string,string>} [options.extraHeaders] - other request headers to set
      * @param {boolean} [options.ignoreErrors=false] - set to `true` to ignore errors (HTTP statuses 300 and higher)
      * @param {boolean} [options.followRedirects=true] - set to `false` to disable automatic handling of HTTP redirects (status 301, 302 and 303)
+     * @param {number|Object} [options.timeout] - the maximum time to wait for the request to complete, in milliseconds, including
+     *                                         any redirect; pass an object with `connect` and `total` properties to also limit
+     *                                         the time to establish each connection
+     * @param {AbortSignal} [options.signal] - a signal that can be used to cancel the request
+     * @param {boolean|Object} [options.retry] - retry the request automatically after transient failures; pass `true`
+     *                                          to use the default policy, or an object to customize it
+     * @param {number} [options.retry.maxAttempts=3] - the maximum number of attempts, including the first one
+     * @param {number} [options.retry.minDelay=1000] - the delay before the first retry, in milliseconds; the delay doubles
+     *                                                at every attempt, and is randomized to avoid synchronized retries
+     * @param {number} [options.retry.maxDelay=30000] - the maximum delay between two attempts, in milliseconds; if the server
+     *                                                 requests a longer delay with `Retry-After`, the request is not retried
+     * @param {number[]} [options.retry.statuses] - the HTTP statuses to retry (defaults to 429, 502, 503 and 504)
+     * @param {string[]} [options.retry.errors] - the network error codes to retry (defaults to `ECONNRESET`, `ECONNREFUSED`,
+     *                                           `EPIPE` and `EAI_AGAIN`)
+     * @param {string[]} [options.retry.methods] - the HTTP methods to retry (defaults to idempotent methods only)
+     * @param {Helpers.Http~RetryCallback} [options.retry.onRetry] - a function called before each retry
+     * @param {Helpers.RateLimiter|Object} [options.rateLimit] - limit the rate of requests; pass an object with the same
+     *                                                         options as the {@link Helpers.RateLimiter} constructor to
+     *                                                         use a limiter shared with all other requests with the same key
+     * @param {string} [options.rateLimit.key] - the key of the shared limiter (defaults to the host of the request)
+     * @param {boolean|Helpers.HttpCache~CacheStore} [options.cache] - cache responses to GET requests in the given store, or
+     *                                                                in the shared in-memory store if `true`; cached responses
+     *                                                                are revalidated with `ETag` and `Last-Modified`, and are
+     *                                                                reused without revalidation until `Cache-Control: max-age`
+     *                                                                expires; note that streaming responses are buffered if
+     *                                                                this option is set
+     * @param {boolean} [options.decompress=true] - set to `false` to receive the response body as encoded by the server;
+     *                                             by default, compressed responses (gzip, deflate and brotli) are decoded
+     *                                             transparently
+     * @param {Helpers.CookieJar} [options.cookieJar] - store the cookies set by the server in the given jar, and send
+     *                                              the cookies in the jar that match the request URL
+     * @param {string|boolean} [options.proxy] - the URL of the HTTP proxy to use for this request, or `false` to connect
+     *                                          directly; by default, the proxy is taken from the `HTTP_PROXY`,
+     *                                          `HTTPS_PROXY` and `NO_PROXY` environment variables; credentials in the
+     *                                          proxy URL are sent with `Proxy-Authorization`
+     * @param {BasePlatform} [options.platform] - the platform making the request, used to apply platform-specific middleware;
+     *                                            defaults to the platform of the `useOAuth2` device
+     * @param {number} [options.maxRedirects=10] - the maximum number of redirects to follow; if more redirects are necessary,
+     *                                           the request fails with a {@link TooManyRedirectsError}
+     * @param {function(Helpers.Http~Redirect)} [options.onRedirect] - called for each redirect that is followed
      * @param {boolean} [options.raw=false] - return the binary response body instead of converting to a string
-     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type.
+     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type;
+     *                        the tuple also has a `redirects` property, containing the list of {@link Helpers.Http~Redirect}
+     *                        that were followed
      * @async
      */
     post(url, data, options) { return httpRequest(url, 'POST', data, options); },
@@ -264,23 +1393,70 @@ module.exports = {
      * The response will be buffered as with {@link Helpers.Http.post}.
      *
      * @param {string} url - the URL to POST to
-     * @param {string|null} data - the content of the request body; you can pass `null` for an empty body
+     * @param {stream.Readable|null} data - the content of the request body; you can pass `null` for an empty body,
+     *                                     or use {@link Helpers.Form} to build a form body
      * @param {Object} [options] - request options
-     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header
-     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {string} [options.dataContentType] - the value of the `Content-Type` request header; it defaults to the
+     *                                             `contentType` property of `data`, if any
+     * @param {string|Helpers.Http~Authenticator} [options.auth] - the value of `Authorization` header, or an object
+     *                                                            computing it for each request, such as {@link Helpers.DigestAuth}
      * @param {string} [options.accept] - the value of `Accept` header
      * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
      *                                           device based on the OAuth 2.0 standard; using this option also enables
-     *                                           automatic refresh token handling (if the refresh token exists); this
-     *                                           option is ignored if `auth` is also set
+     *                                           automatic refresh token handling (if the refresh token exists, or the
+     *                                           device uses the client credentials grant), before the access token
+     *                                           expires and after a 401 response; devices configured with an API key
+     *                                           send their key instead; this option is ignored if `auth` is also set
      * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
      *                                        this option is ignored unless `useOAuth2` is set
      * @param {string} [options.user-agent] - set the `User-Agent` header; if unset a default user agent is used
      * @param {Object.<string,string>} [options.extraHeaders] - other request headers to set
      * @param {boolean} [options.ignoreErrors=false] - set to `true` to ignore errors (HTTP statuses 300 and higher)
      * @param {boolean} [options.followRedirects=true] - set to `false` to disable automatic handling of HTTP redirects (status 301, 302 and 303)
+     * @param {number|Object} [options.timeout] - the maximum time to wait for the request to complete, in milliseconds, including
+     *                                         any redirect; pass an object with `connect` and `total` properties to also limit
+     *                                         the time to establish each connection
+     * @param {AbortSignal} [options.signal] - a signal that can be used to cancel the request
+     * @param {boolean|Object} [options.retry] - retry the request automatically after transient failures; pass `true`
+     *                                          to use the default policy, or an object to customize it
+     * @param {number} [options.retry.maxAttempts=3] - the maximum number of attempts, including the first one
+     * @param {number} [options.retry.minDelay=1000] - the delay before the first retry, in milliseconds; the delay doubles
+     *                                                at every attempt, and is randomized to avoid synchronized retries
+     * @param {number} [options.retry.maxDelay=30000] - the maximum delay between two attempts, in milliseconds; if the server
+     *                                                 requests a longer delay with `Retry-After`, the request is not retried
+     * @param {number[]} [options.retry.statuses] - the HTTP statuses to retry (defaults to 429, 502, 503 and 504)
+     * @param {string[]} [options.retry.errors] - the network error codes to retry (defaults to `ECONNRESET`, `ECONNREFUSED`,
+     *                                           `EPIPE` and `EAI_AGAIN`)
+     * @param {string[]} [options.retry.methods] - the HTTP methods to retry (defaults to idempotent methods only)
+     * @param {Helpers.Http~RetryCallback} [options.retry.onRetry] - a function called before each retry
+     * @param {Helpers.RateLimiter|Object} [options.rateLimit] - limit the rate of requests; pass an object with the same
+     *                                                         options as the {@link Helpers.RateLimiter} constructor to
+     *                                                         use a limiter shared with all other requests with the same key
+     * @param {string} [options.rateLimit.key] - the key of the shared limiter (defaults to the host of the request)
+     * @param {boolean|Helpers.HttpCache~CacheStore} [options.cache] - cache responses to GET requests in the given store, or
+     *                                                                in the shared in-memory store if `true`; cached responses
+     *                                                                are revalidated with `ETag` and `Last-Modified`, and are
+     *                                                                reused without revalidation until `Cache-Control: max-age`
+     *                                                                expires; note that streaming responses are buffered if
+     *                                                                this option is set
+     * @param {boolean} [options.decompress=true] - set to `false` to receive the response body as encoded by the server;
+     *                                             by default, compressed responses (gzip, deflate and brotli) are decoded
+     *                                             transparently
+     * @param {Helpers.CookieJar} [options.cookieJar] - store the cookies set by the server in the given jar, and send
+     *                                              the cookies in the jar that match the request URL
+     * @param {string|boolean} [options.proxy] - the URL of the HTTP proxy to use for this request, or `false` to connect
+     *                                          directly; by default, the proxy is taken from the `HTTP_PROXY`,
+     *                                          `HTTPS_PROXY` and `NO_PROXY` environment variables; credentials in the
+     *                                          proxy URL are sent with `Proxy-Authorization`
+     * @param {BasePlatform} [options.platform] - the platform making the request, used to apply platform-specific middleware;
+     *                                            defaults to the platform of the `useOAuth2` device
+     * @param {number} [options.maxRedirects=10] - the maximum number of redirects to follow; if more redirects are necessary,
+     *                                           the request fails with a {@link TooManyRedirectsError}
+     * @param {function(Helpers.Http~Redirect)} [options.onRedirect] - called for each redirect that is followed
      * @param {boolean} [options.raw=false] - return the binary response body instead of converting to a string
-     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type.
+     * @return {string|Array} either the string response body, or a tuple with {@link Buffer} and content type;
+     *                        the tuple also has a `redirects` property, containing the list of {@link Helpers.Http~Redirect}
+     *                        that were followed
      * @async
      */
     postStream(url, data, options) { return httpUploadStream(url, 'POST', data, options); },
@@ -292,22 +1468,146 @@ module.exports = {
      * The result is the [`http.IncomingMessage`](https://nodejs.org/api/http.html#http_class_http_incomingmessage)
      * from the underlying nodejs HTTP API. The result is also a `stream.Readable` and can be used as such.
      *
+     * The `timeout` option only applies until the response headers are received. The `signal` option
+     * can still be used to cancel the download after the stream is returned.
+     *
+     * If the response is compressed, the result is a stream of the decoded body instead, with the same `statusCode`
+     * and `headers` properties as the response (except that `Content-Encoding` and `Content-Length` are removed).
+     *
      * @param {string} url - the URL to retrieve
      * @param {Object} [options] - request options
-     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {string|Helpers.Http~Authenticator} [options.auth] - the value of `Authorization` header, or an object
+     *                                                            computing it for each request, such as {@link Helpers.DigestAuth}
      * @param {string} [options.accept] - the value of `Accept` header
      * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
      *                                           device based on the OAuth 2.0 standard; using this option also enables
-     *                                           automatic refresh token handling (if the refresh token exists); this
-     *                                           option is ignored if `auth` is also set
+     *                                           automatic refresh token handling (if the refresh token exists, or the
+     *                                           device uses the client credentials grant), before the access token
+     *                                           expires and after a 401 response; devices configured with an API key
+     *                                           send their key instead; this option is ignored if `auth` is also set
      * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
      *                                        this option is ignored unless `useOAuth2` is set
      * @param {string} [options.user-agent] - set the `User-Agent` header; if unset a default user agent is used
      * @param {Object.<string,string>} [options.extraHeaders] - other request headers to set
      * @param {boolean} [options.ignoreErrors=false] - set to `true` to ignore errors (HTTP statuses 300 and higher)
      * @param {boolean} [options.followRedirects=true] - set to `false` to disable automatic handling of HTTP redirects (status 301, 302 and 303)
-     * @return {http.IncomingMessage} the server response
+     * @param {number|Object} [options.timeout] - the maximum time to wait for the request to complete, in milliseconds, including
+     *                                         any redirect; pass an object with `connect` and `total` properties to also limit
+     *                                         the time to establish each connection
+     * @param {AbortSignal} [options.signal] - a signal that can be used to cancel the request
+     * @param {boolean|Object} [options.retry] - retry the request automatically after transient failures; pass `true`
+     *                                          to use the default policy, or an object to customize it
+     * @param {number} [options.retry.maxAttempts=3] - the maximum number of attempts, including the first one
+     * @param {number} [options.retry.minDelay=1000] - the delay before the first retry, in milliseconds; the delay doubles
+     *                                                at every attempt, and is randomized to avoid synchronized retries
+     * @param {number} [options.retry.maxDelay=30000] - the maximum delay between two attempts, in milliseconds; if the server
+     *                                                 requests a longer delay with `Retry-After`, the request is not retried
+     * @param {number[]} [options.retry.statuses] - the HTTP statuses to retry (defaults to 429, 502, 503 and 504)
+     * @param {string[]} [options.retry.errors] - the network error codes to retry (defaults to `ECONNRESET`, `ECONNREFUSED`,
+     *                                           `EPIPE` and `EAI_AGAIN`)
+     * @param {string[]} [options.retry.methods] - the HTTP methods to retry (defaults to idempotent methods only)
+     * @param {Helpers.Http~RetryCallback} [options.retry.onRetry] - a function called before each retry
+     * @param {Helpers.RateLimiter|Object} [options.rateLimit] - limit the rate of requests; pass an object with the same
+     *                                                         options as the {@link Helpers.RateLimiter} constructor to
+     *                                                         use a limiter shared with all other requests with the same key
+     * @param {string} [options.rateLimit.key] - the key of the shared limiter (defaults to the host of the request)
+     * @param {boolean|Helpers.HttpCache~CacheStore} [options.cache] - cache responses to GET requests in the given store, or
+     *                                                                in the shared in-memory store if `true`; cached responses
+     *                                                                are revalidated with `ETag` and `Last-Modified`, and are
+     *                                                                reused without revalidation until `Cache-Control: max-age`
+     *                                                                expires; note that streaming responses are buffered if
+     *                                                                this option is set
+     * @param {boolean} [options.decompress=true] - set to `false` to receive the response body as encoded by the server;
+     *                                             by default, compressed responses (gzip, deflate and brotli) are decoded
+     *                                             transparently
+     * @param {Helpers.CookieJar} [options.cookieJar] - store the cookies set by the server in the given jar, and send
+     *                                              the cookies in the jar that match the request URL
+     * @param {string|boolean} [options.proxy] - the URL of the HTTP proxy to use for this request, or `false` to connect
+     *                                          directly; by default, the proxy is taken from the `HTTP_PROXY`,
+     *                                          `HTTPS_PROXY` and `NO_PROXY` environment variables; credentials in the
+     *                                          proxy URL are sent with `Proxy-Authorization`
+     * @param {BasePlatform} [options.platform] - the platform making the request, used to apply platform-specific middleware;
+     *                                            defaults to the platform of the `useOAuth2` device
+     * @param {number} [options.maxRedirects=10] - the maximum number of redirects to follow; if more redirects are necessary,
+     *                                           the request fails with a {@link TooManyRedirectsError}
+     * @param {function(Helpers.Http~Redirect)} [options.onRedirect] - called for each redirect that is followed
+     * @return {http.IncomingMessage} the server response; it also has a `redirects` property, containing the list of
+     *                                {@link Helpers.Http~Redirect} that were followed
      * @async
      */
     getStream(url, options) { return httpDownloadStream(url, 'GET', null, options); },
+
+    /**
+     * Iterate the results of a paginated JSON API.
+     *
+     * The result is an async iterable, to be used with `for await`. Pages are retrieved
+     * lazily as the results are consumed, and no further page is retrieved once the
+     * `limit` is reached, or when the caller stops iterating.
+     *
+     * Three styles of pagination are supported:
+     * - `link`: the URL of the next page is in the `Link` response header, with `rel="next"`
+     * - `cursor`: the response contains an opaque token, to be passed as a query parameter to retrieve
+     *   the next page
+     * - `page` and `offset`: the page number or the index of the first result are passed
+     *   as a query parameter; iteration stops at the first empty page, or at the first page shorter
+     *   than `pageSize`
+     *
+     * All other options are passed to {@link Helpers.Http.getStream}.
+     *
+     * @param {string} url - the URL of the first page
+     * @param {Object} [options] - request and pagination options
+     * @param {string} [options.pagination=link] - the pagination style: `link`, `cursor`, `page` or `offset`
+     * @param {string|function(Object, Helpers.Http~Response):Array} [options.items] - the property of the response
+     *                                                                         containing the results of each page (which
+     *                                                                         can be a chain of properties separated
+     *                                                                         by `.`), or a function to extract them; by
+     *                                                                         default, the response must be an array
+     * @param {number} [options.limit] - the maximum number of results to return
+     * @param {Object} [options.hints] - the hints passed to the `get_*` function; if `limit` is not specified,
+     *                                   the limit is taken from the hints
+     * @param {string|function(Object, Helpers.Http~Response):string} [options.nextCursor=next_cursor] - the property of
+     *                                                                                 the response containing the cursor
+     *                                                                                 of the next page, or a function to
+     *                                                                                 extract it (`cursor` style only)
+     * @param {string} [options.cursorParam=cursor] - the query parameter to pass the cursor in (`cursor` style only)
+     * @param {string} [options.pageParam] - the query parameter to pass the page number or offset in; defaults
+     *                                       to `page` or `offset`
+     * @param {number} [options.firstPage=1] - the number of the first page (`page` style only)
+     * @param {number} [options.pageSize] - the number of results per page
+     * @param {string} [options.pageSizeParam] - the query parameter to pass `pageSize` in, if any
+     * @return {AsyncIterable<Object>} the results, one at a time
+     */
+    paginate(url, options = {}) {
+        return new PageIterator(url, options);
+    },
+
+    /**
+     * Register a middleware that will intercept all HTTP requests.
+     *
+     * @param {Helpers.Http~Middleware} middleware - the middleware to add
+     */
+    addMiddleware(middleware) {
+        _middleware.push(middleware);
+    },
+
+    /**
+     * Unregister a middleware previously added with {@link Helpers.Http.addMiddleware}.
+     *
+     * @param {Helpers.Http~Middleware} middleware - the middleware to remove
+     */
+    removeMiddleware(middleware) {
+        const index = _middleware.indexOf(middleware);
+        if (index >= 0)
+            _middleware.splice(index, 1);
+    },
+
+    /**
+     * Construct a synthetic response, suitable to be returned from a middleware.
+     *
+     * @param {number} status - the HTTP status code
+     * @param {Object.<string,string|string[]>} [headers] - the response headers
+     * @param {string|Buffer} [body] - the response body
+     * @return {Helpers.Http~Response} the response
+     */
+    createResponse,
 };
@@ -0,0 +1,299 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+/**
+ * An entry in the HTTP cache.
+ *
+ * @typedef {Object} Helpers.HttpCache~CacheEntry
+ * @property {string} url - the URL of the cached response
+ * @property {number} status - the HTTP status of the cached response
+ * @property {Object.<string,string>} headers - the headers of the cached response
+ * @property {Buffer} body - the body of the cached response
+ * @property {string|undefined} etag - the value of the `ETag` response header, if any
+ * @property {string|undefined} lastModified - the value of the `Last-Modified` response header, if any
+ * @property {number} expires - the time until which the entry can be used without revalidation, in milliseconds since the epoch
+ */
+
+/**
+ * The interface of an HTTP cache store.
+ *
+ * Stores are simple asynchronous key-value maps. They are not responsible for
+ * deciding what can be cached or for how long.
+ *
+ * @interface Helpers.HttpCache~CacheStore
+ */
+/**
+ * Retrieve a cache entry.
+ *
+ * @function
+ * @name Helpers.HttpCache~CacheStore#get
+ * @param {string} key - the cache key
+ * @return {Helpers.HttpCache~CacheEntry|undefined} the cache entry, if one exists
+ * @async
+ */
+/**
+ * Store a cache entry.
+ *
+ * @function
+ * @name Helpers.HttpCache~CacheStore#set
+ * @param {string} key - the cache key
+ * @param {Helpers.HttpCache~CacheEntry} entry - the entry to store
+ * @async
+ */
+/**
+ * Delete a cache entry.
+ *
+ * @function
+ * @name Helpers.HttpCache~CacheStore#delete
+ * @param {string} key - the cache key
+ * @async
+ */
+
+/**
+ * A cache store that keeps entries in memory.
+ *
+ * The least recently used entries are evicted when the store is full.
+ *
+ * @alias Helpers.HttpCache.MemoryStore
+ * @implements {Helpers.HttpCache~CacheStore}
+ */
+class MemoryStore {
+    /**
+     * Construct a new in-memory store.
+     *
+     * @param {number} [maxEntries=256] - the maximum number of entries to keep
+     */
+    constructor(maxEntries = 256) {
+        this._maxEntries = maxEntries;
+        // Map iterates in insertion order, so the first key is the least recently used
+        this._entries = new Map;
+    }
+
+    async get(key) {
+        const entry = this._entries.get(key);
+        if (entry !== undefined) {
+            this._entries.delete(key);
+            this._entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    async set(key, entry) {
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        while (this._entries.size > this._maxEntries)
+            this._entries.delete(this._entries.keys().next().value);
+    }
+
+    async delete(key) {
+        this._entries.delete(key);
+    }
+}
+
+/**
+ * A cache store that keeps entries on disk, one file per entry.
+ *
+ * The least recently used entries are evicted when the store is full, and
+ * entries older than the maximum age are deleted regardless of their freshness.
+ *
+ * @alias Helpers.HttpCache.FileStore
+ * @implements {Helpers.HttpCache~CacheStore}
+ */
+class FileStore {
+    /**
+     * Construct a new on-disk store.
+     *
+     * @param {string} dir - the directory where entries are stored; it will be created if necessary
+     * @param {Object} [options={}] - additional options
+     * @param {number} [options.maxEntries=1024] - the maximum number of entries to keep
+     * @param {number} [options.maxAge=604800000] - the maximum time to keep an entry, in milliseconds (default: 1 week)
+     */
+    constructor(dir, options = {}) {
+        this._dir = dir;
+        this._maxEntries = options.maxEntries || 1024;
+        this._maxAge = options.maxAge || 7 * 24 * 3600 * 1000;
+
+        // map from file name to the time the entry was written, in least
+        // recently used order; it is loaded from the directory on first use
+        this._index = null;
+    }
+
+    _filename(key) {
+        // keys computed by Helpers.Http are hex digests, but we don't want
+        // to trust keys passed by other users of the store
+        return encodeURIComponent(key) + '.json';
+    }
+
+    _loadIndex() {
+        if (this._index === null) {
+            this._index = this._scan().catch((e) => {
+                this._index = null;
+                throw e;
+            });
+        }
+        return this._index;
+    }
+
+    async _scan() {
+        await util.promisify(fs.mkdir)(this._dir, { recursive: true });
+
+        const now = Date.now();
+        const entries = [];
+        for (let filename of await util.promisify(fs.readdir)(this._dir)) {
+            if (!filename.endsWith('.json'))
+                continue;
+            let stat;
+            try {
+                stat = await util.promisify(fs.stat)(path.resolve(this._dir, filename));
+            } catch(e) {
+                if (e.code === 'ENOENT')
+                    continue;
+                throw e;
+            }
+            if (now - stat.mtimeMs > this._maxAge)
+                await this._unlink(filename);
+            else
+                entries.push([filename, stat.mtimeMs]);
+        }
+
+        // without access times, the oldest entries are the least recently used
+        entries.sort((a, b) => a[1] - b[1]);
+        const index = new Map(entries);
+        await this._evict(index);
+        return index;
+    }
+
+    async _evict(index) {
+        while (index.size > this._maxEntries) {
+            const filename = index.keys().next().value;
+            index.delete(filename);
+            await this._unlink(filename);
+        }
+    }
+
+    async _unlink(filename) {
+        try {
+            await util.promisify(fs.unlink)(path.resolve(this._dir, filename));
+        } catch(e) {
+            if (e.code !== 'ENOENT')
+                throw e;
+        }
+    }
+
+    async get(key) {
+        const index = await this._loadIndex();
+        const filename = this._filename(key);
+        const written = index.get(filename);
+        if (written === undefined)
+            return undefined;
+        if (Date.now() - written > this._maxAge) {
+            await this.delete(key);
+            return undefined;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await util.promisify(fs.readFile)(path.resolve(this._dir, filename), { encoding: 'utf8' }));
+        } catch(e) {
+            if (e.code === 'ENOENT') {
+                index.delete(filename);
+                return undefined;
+            }
+            if (e.name === 'SyntaxError') {
+                console.error(`Corrupted HTTP cache entry ${key}: ${e.message}`);
+                return undefined;
+            }
+            throw e;
+        }
+        index.delete(filename);
+        index.set(filename, written);
+        data.body = Buffer.from(data.body, 'base64');
+        return data;
+    }
+
+    async set(key, entry) {
+        const index = await this._loadIndex();
+        const filename = this._filename(key);
+
+        const data = Object.assign({}, entry, { body: entry.body.toString('base64') });
+        await util.promisify(fs.writeFile)(path.resolve(this._dir, filename), JSON.stringify(data));
+        index.delete(filename);
+        index.set(filename, Date.now());
+        await this._evict(index);
+    }
+
+    async delete(key) {
+        const index = await this._loadIndex();
+        const filename = this._filename(key);
+        index.delete(filename);
+        await this._unlink(filename);
+    }
+}
+
+const _defaultStore = new MemoryStore();
+const _platformStores = new WeakMap;
+
+/**
+ * HTTP caching support.
+ *
+ * Pass a store to the `cache` option of {@link Helpers.Http} to reuse previous responses,
+ * or pass `true` to use the shared in-memory store.
+ *
+ * Responses to authenticated requests are only cached if the server marks them
+ * explicitly as `Cache-Control: public`.
+ *
+ * @namespace
+ * @alias Helpers.HttpCache
+ */
+module.exports = {
+    MemoryStore,
+    FileStore,
+
+    /**
+     * Retrieve the shared in-memory store.
+     *
+     * @return {Helpers.HttpCache.MemoryStore} the default store
+     */
+    getDefaultStore() {
+        return _defaultStore;
+    },
+
+    /**
+     * Retrieve the shared on-disk store for the given platform.
+     *
+     * The store is located in the `http-cache` subdirectory of the platform cache directory.
+     *
+     * @param {BasePlatform} platform - the current Almond platform
+     * @return {Helpers.HttpCache.FileStore} the on-disk store
+     */
+    getPlatformStore(platform) {
+        let store = _platformStores.get(platform);
+        if (store === undefined) {
+            store = new FileStore(path.resolve(platform.getCacheDir(), 'http-cache'));
+            _platformStores.set(platform, store);
+        }
+        return store;
+    }
+};
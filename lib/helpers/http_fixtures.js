@@ -0,0 +1,231 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const fs = require('fs');
+const util = require('util');
+
+const Http = require('./http');
+
+// response headers that describe the connection rather than the response,
+// and would be wrong when the response is replayed
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding'];
+
+function readAll(stream) {
+    return new Promise((resolve, reject) => {
+        const buffers = [];
+        stream.on('data', (buffer) => buffers.push(Buffer.from(buffer)));
+        stream.on('end', () => resolve(Buffer.concat(buffers)));
+        stream.on('error', reject);
+    });
+}
+
+async function readBody(body) {
+    if (body === null || body === undefined)
+        return Buffer.alloc(0);
+    if (typeof body.pipe === 'function')
+        return readAll(body);
+    return Buffer.from(body);
+}
+
+function isText(buffer) {
+    return Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+}
+
+function encodeBody(buffer) {
+    if (isText(buffer))
+        return { body: buffer.toString('utf8') };
+    else
+        return { body: buffer.toString('base64'), encoding: 'base64' };
+}
+
+function decodeBody(data) {
+    return Buffer.from(data.body, data.encoding === 'base64' ? 'base64' : 'utf8');
+}
+
+// compute the request body as it is matched against the fixtures
+//
+// multipart boundaries are random, so they are replaced with a placeholder
+function normalizeBody(headers, buffer) {
+    const encoded = encodeBody(buffer);
+    const contentType = headers['Content-Type'] || headers['content-type'] || '';
+    const match = /boundary=([^;]+)/.exec(contentType);
+    if (match && !encoded.encoding)
+        encoded.body = encoded.body.split(match[1]).join('{boundary}');
+    return encoded;
+}
+
+/**
+ * Record and replay HTTP interactions.
+ *
+ * In record mode, every request made through {@link Helpers.Http} is sent on the network,
+ * and the request and the response are saved to a JSON fixture file. In replay mode, no
+ * request reaches the network: responses are served from the fixture file, matching on
+ * method, URL and request body. Requests that do not match any recorded interaction fail
+ * with an error.
+ *
+ * Fixtures are installed as a global {@link Helpers.Http~Middleware}, so they also cover
+ * requests made by the OAuth helpers and by the Thingpedia client.
+ *
+ * @alias Helpers.HttpFixtures
+ */
+class HttpFixtures {
+    /**
+     * Construct a new set of fixtures.
+     *
+     * @param {string} filename - the path of the fixture file
+     * @param {Object} [options] - additional options
+     * @param {string} [options.mode=replay] - either `record` or `replay`
+     */
+    constructor(filename, options = {}) {
+        this.filename = filename;
+        this.mode = options.mode || 'replay';
+        if (this.mode !== 'record' && this.mode !== 'replay')
+            throw new TypeError(`Invalid fixture mode ${this.mode}`);
+
+        this._interactions = null;
+        this._used = new Set;
+        this._saving = Promise.resolve();
+        this._middleware = (request, next) => this._handle(request, next);
+    }
+
+    /**
+     * The list of recorded interactions.
+     *
+     * @type {Object[]}
+     * @readonly
+     */
+    get interactions() {
+        return this._interactions;
+    }
+
+    /**
+     * Load the fixtures, and start intercepting HTTP requests.
+     *
+     * In record mode, any existing fixture file is overwritten.
+     *
+     * @async
+     */
+    async install() {
+        if (this.mode === 'replay') {
+            let data;
+            try {
+                data = JSON.parse(await util.promisify(fs.readFile)(this.filename, { encoding: 'utf8' }));
+            } catch(e) {
+                if (e.code !== 'ENOENT')
+                    throw e;
+                const error = new Error(`No HTTP fixtures in ${this.filename}, they must be recorded first`);
+                error.code = 'ERR_HTTP_FIXTURE_MISSING';
+                throw error;
+            }
+            this._interactions = data.interactions;
+        } else {
+            this._interactions = [];
+        }
+        this._used.clear();
+        Http.addMiddleware(this._middleware);
+    }
+
+    /**
+     * Stop intercepting HTTP requests.
+     *
+     * In record mode, this waits until the fixture file is fully written.
+     *
+     * @async
+     */
+    async uninstall() {
+        Http.removeMiddleware(this._middleware);
+        await this._saving;
+    }
+
+    async _handle(request, next) {
+        const body = await readBody(request.body);
+        const key = {
+            method: request.method,
+            url: request.url,
+            body: normalizeBody(request.headers, body)
+        };
+
+        if (this.mode === 'replay')
+            return this._replay(key);
+
+        // ask for an uncompressed response, so the fixtures are readable
+        const headers = Object.assign({}, request.headers);
+        delete headers['Accept-Encoding'];
+        const response = await next(Object.assign({}, request, { headers, body: body.length > 0 ? body : null }));
+
+        const responseBody = await readAll(response);
+        const responseHeaders = {};
+        for (let name in response.headers) {
+            if (!HOP_BY_HOP_HEADERS.includes(name))
+                responseHeaders[name] = response.headers[name];
+        }
+        this._interactions.push({
+            request: {
+                method: key.method,
+                url: key.url,
+                body: key.body.body,
+                encoding: key.body.encoding
+            },
+            response: Object.assign({
+                status: response.statusCode,
+                headers: responseHeaders,
+            }, encodeBody(responseBody))
+        });
+        this._save();
+
+        return Http.createResponse(response.statusCode, responseHeaders, responseBody);
+    }
+
+    _replay(key) {
+        // serve the interactions in the order they were recorded; once all matching
+        // interactions have been used, keep serving the last one, so that polling works
+        let match = null;
+        for (let i = 0; i < this._interactions.length; i++) {
+            const request = this._interactions[i].request;
+            if (request.method !== key.method || request.url !== key.url ||
+                request.body !== key.body.body || request.encoding !== key.body.encoding)
+                continue;
+
+            match = i;
+            if (!this._used.has(i))
+                break;
+        }
+
+        if (match === null) {
+            const error = new Error(`No recorded HTTP interaction for ${key.method} ${key.url} in ${this.filename}`);
+            error.code = 'ERR_HTTP_FIXTURE_MISMATCH';
+            console.error(error.message);
+            throw error;
+        }
+
+        this._used.add(match);
+        const response = this._interactions[match].response;
+        return Http.createResponse(response.status, response.headers, decodeBody(response));
+    }
+
+    _save() {
+        const data = JSON.stringify({ interactions: this._interactions }, undefined, 2);
+        this._saving = this._saving.then(() => util.promisify(fs.writeFile)(this.filename, data)).catch((e) => {
+            console.error(`Failed to save HTTP fixtures to ${this.filename}: ${e.message}`);
+        });
+    }
+}
+module.exports = HttpFixtures;
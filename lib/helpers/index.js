@@ -32,11 +32,22 @@
 module.exports = {
     Content: require('./content'),
     Http: require('./http'),
+    HttpCache: require('./http_cache'),
+    HttpFixtures: require('./http_fixtures'),
+    CookieJar: require('./cookie_jar'),
+    DigestAuth: require('./digest_auth'),
+    ApiKeyAuth: require('./api_key_auth'),
+    Form: require('./form'),
+    GraphQL: require('./graphql'),
+    OAuth1: require('./oauth1'),
     OAuth2: require('./oauth2'),
     PollingStream: require('./polling'),
+    EventSource: require('./event_source'),
+    WebSocket: require('./websocket'),
     Rss: require('./rss'),
     Xml: require('./xml'),
     RefCounted: require('./ref_counted'),
+    RateLimiter: require('./rate_limit'),
     ObjectSet: require('./object_set'),
     FilePreferences: require('./file_prefs')
 };
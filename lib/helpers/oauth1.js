@@ -0,0 +1,312 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const qs = require('querystring');
+const Url = require('url');
+const crypto = require('crypto');
+
+const Http = require('./http');
+const { OAuthError, HttpError } = require('../errors');
+const { rot13 } = require('../utils');
+
+// the supported signature methods, and the corresponding HMAC digest
+const SIGNATURE_METHODS = {
+    'HMAC-SHA1': 'sha1',
+    'HMAC-SHA256': 'sha256',
+    'PLAINTEXT': null
+};
+
+// percent-encode a string (RFC 5849, section 3.6)
+function encode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// add the parameters in a parsed query string or form to the list of signed parameters
+function addParameters(list, params) {
+    for (let name in params) {
+        const value = params[name];
+        if (Array.isArray(value)) {
+            for (let v of value)
+                list.push([name, String(v)]);
+        } else if (value !== undefined && value !== null) {
+            list.push([name, String(value)]);
+        }
+    }
+}
+
+// compute the signature base string of a request (RFC 5849, section 3.4.1)
+function getSignatureBaseString(method, url, form, oauthParams) {
+    const parsed = Url.parse(url, true);
+
+    // the base string URI has no query or fragment, and no default port
+    const protocol = parsed.protocol.toLowerCase();
+    let host = parsed.hostname.toLowerCase();
+    if (parsed.port && !(protocol === 'http:' && parsed.port === '80') && !(protocol === 'https:' && parsed.port === '443'))
+        host += ':' + parsed.port;
+    const baseUri = protocol + '//' + host + (parsed.pathname || '/');
+
+    const params = [];
+    addParameters(params, parsed.query);
+    addParameters(params, form);
+    addParameters(params, oauthParams);
+    const normalized = params.map(([name, value]) => [encode(name), encode(value)]).sort((a, b) => {
+        if (a[0] !== b[0])
+            return a[0] < b[0] ? -1 : 1;
+        if (a[1] !== b[1])
+            return a[1] < b[1] ? -1 : 1;
+        return 0;
+    }).map(([name, value]) => name + '=' + value).join('&');
+
+    return [method.toUpperCase(), encode(baseUri), encode(normalized)].join('&');
+}
+
+/**
+ * Signs requests made with {@link Helpers.Http} with OAuth 1.0a credentials (RFC 5849).
+ *
+ * @private
+ */
+class OAuth1Signer {
+    constructor(consumer, token, tokenSecret, extraParams = {}) {
+        this._consumer = consumer;
+        this.token = token;
+        this.tokenSecret = tokenSecret;
+        // additional protocol parameters, such as oauth_callback and oauth_verifier
+        this._extraParams = extraParams;
+    }
+
+    get cacheKey() {
+        return 'OAuth ' + this.token;
+    }
+
+    getAuthorization(method, url, form) {
+        const oauthParams = Object.assign({
+            oauth_consumer_key: this._consumer.key,
+            oauth_nonce: crypto.randomBytes(16).toString('hex'),
+            oauth_signature_method: this._consumer.signatureMethod,
+            oauth_timestamp: String(Math.floor(Date.now() / 1000)),
+            oauth_version: '1.0'
+        }, this._extraParams);
+        if (this.token)
+            oauthParams.oauth_token = this.token;
+
+        const key = encode(this._consumer.secret) + '&' + encode(this.tokenSecret || '');
+        const digest = SIGNATURE_METHODS[this._consumer.signatureMethod];
+        if (digest === null) {
+            oauthParams.oauth_signature = key;
+        } else {
+            const base = getSignatureBaseString(method, url, form || {}, oauthParams);
+            oauthParams.oauth_signature = crypto.createHmac(digest, key).update(base).digest('base64');
+        }
+
+        return 'OAuth ' + Object.keys(oauthParams).sort().map((name) => {
+            return encode(name) + '="' + encode(oauthParams[name]) + '"';
+        }).join(', ');
+    }
+}
+
+// obtain a request or access token from the provider
+//
+// the request goes through Helpers.Http, so it is visible to HTTP middleware
+async function getToken(platform, url, signer) {
+    let response;
+    try {
+        response = await Http.post(url, '', {
+            auth: signer,
+            dataContentType: 'application/x-www-form-urlencoded',
+            platform,
+            debug: false
+        });
+    } catch(e) {
+        if (!(e instanceof HttpError))
+            throw new OAuthError(e.message);
+
+        let message = e.message;
+        if (e.body) {
+            const parsed = qs.parse(e.body);
+            if (parsed.error_description || parsed.error)
+                message = String(parsed.error_description || parsed.error);
+            else if (e.body.length < 200)
+                message = e.body;
+        }
+        throw new OAuthError(message);
+    }
+
+    const result = Object.assign({}, qs.parse(response));
+    const token = result.oauth_token;
+    const tokenSecret = result.oauth_token_secret;
+    if (!token)
+        throw new OAuthError(`Invalid response from ${url}: missing oauth_token`);
+    delete result.oauth_token;
+    delete result.oauth_token_secret;
+    return [token, tokenSecret, result];
+}
+
+/**
+ * Construct an OAuth 1.0a helper.
+ *
+ * The result is a function suitable to implement the legacy `runOAuth2` method
+ * of a device class, which is called by {@link BaseDevice.loadFromCustomOAuth} and
+ * {@link BaseDevice.completeCustomOAuth}. The flow obtains a request token, redirects
+ * the user to the authorization page, and exchanges the verifier for an access token,
+ * which is passed to `loadFromOAuth1` on the device class (or to `callback`, if provided).
+ *
+ * Use the `install` method of the result to add an `auth` property to the device
+ * prototype, which signs the requests made with {@link Helpers.Http} when passed as
+ * the `auth` option.
+ *
+ * @param {Object} params - the OAuth parameters
+ * @param {string} params.kind - the kind of the device
+ * @param {string} [params.client_id] - the consumer key; it defaults to the one in the device metadata
+ * @param {string} [params.client_secret] - the consumer secret (obfuscated with rot13); it defaults to
+ *                                          the one in the device metadata
+ * @param {string} params.request_token - the URL of the request token endpoint
+ * @param {string} params.authorize - the URL of the authorization page
+ * @param {string} params.get_access_token - the URL of the access token endpoint
+ * @param {string} [params.signature_method=HMAC-SHA1] - the signature method: `HMAC-SHA1`, `HMAC-SHA256` or `PLAINTEXT`
+ * @param {string} [params.redirect_uri] - the URL the user is redirected to after authorization; it defaults
+ *                                         to the OAuth callback URL of the platform
+ * @param {function(BaseEngine,string,string,Object):BaseDevice} [params.callback] - called with the access token,
+ *                                                                                   the token secret and the rest
+ *                                                                                   of the response
+ * @return {function} the OAuth helper
+ * @alias Helpers.OAuth1
+ */
+module.exports = function OAuth1Helper(params) {
+    function getConsumer(factory) {
+        const client_id = factory.metadata.auth.client_id || params.client_id;
+        if (!client_id)
+            throw new OAuthError('Missing OAuth Consumer Key in Authentication part of the manifest');
+        if (!factory.metadata.auth.client_secret && !params.client_secret)
+            throw new OAuthError('Missing OAuth Consumer Secret in Authentication part of the manifest');
+        const client_secret = factory.metadata.auth.client_secret || rot13(params.client_secret);
+
+        const signatureMethod = params.signature_method || 'HMAC-SHA1';
+        if (!(signatureMethod in SIGNATURE_METHODS))
+            throw new OAuthError(`Unsupported OAuth signature method ${signatureMethod}`);
+        return { key: client_id, secret: client_secret, signatureMethod };
+    }
+
+    function runOAuth1(engine, req) {
+        const factory = this;
+        const kind = factory.metadata.kind;
+        let redirect_uri;
+        if (params.redirect_uri)
+            redirect_uri = params.redirect_uri;
+        else
+            redirect_uri = engine.platform.getOrigin() + '/devices/oauth2/callback/' + kind;
+
+        const consumer = getConsumer(factory);
+        if (req === null) {
+            // step 1: obtain a request token, and send the user to authorize it
+            const signer = new OAuth1Signer(consumer, null, '', { oauth_callback: redirect_uri });
+            return getToken(engine.platform, params.request_token, signer).then(([token, tokenSecret]) => {
+                const session = {};
+                session['oauth1-token-' + kind] = token;
+                session['oauth1-token-secret-' + kind] = tokenSecret;
+                return [params.authorize + '?' + qs.stringify({ oauth_token: token }), session];
+            });
+        } else {
+            // step 2: exchange the verifier for an access token
+            const expectedToken = req.session['oauth1-token-' + kind];
+            const tokenSecret = req.session['oauth1-token-secret-' + kind];
+            delete req.session['oauth1-token-' + kind];
+            delete req.session['oauth1-token-secret-' + kind];
+
+            // there is no standard way to report that the user cancelled, but
+            // a number of providers (e.g. Twitter) set the `denied` parameter
+            if (req.query.denied)
+                return Promise.resolve(null);
+            if (!req.query.oauth_token || req.query.oauth_token !== expectedToken)
+                return Promise.reject(new OAuthError('Invalid OAuth token'));
+
+            const extraParams = {};
+            if (req.query.oauth_verifier)
+                extraParams.oauth_verifier = req.query.oauth_verifier;
+            const signer = new OAuth1Signer(consumer, expectedToken, tokenSecret, extraParams);
+            return getToken(engine.platform, params.get_access_token, signer).then(([accessToken, accessTokenSecret, extraData]) => {
+                if (params.callback)
+                    return params.callback(engine, accessToken, accessTokenSecret, extraData);
+                else
+                    return factory.loadFromOAuth1(engine, accessToken, accessTokenSecret, extraData);
+            });
+        }
+    }
+
+    /**
+     * Compute the `auth` option to sign requests with the given credentials.
+     *
+     * @param {Function} factory - the device class
+     * @param {string} accessToken - the access token
+     * @param {string} accessTokenSecret - the access token secret
+     * @return {Helpers.Http~Authenticator} the value to pass as the `auth` option to {@link Helpers.Http}
+     * @memberof Helpers.OAuth1
+     */
+    runOAuth1.getAuth = function getAuth(factory, accessToken, accessTokenSecret) {
+        return new OAuth1Signer(getConsumer(factory), accessToken, accessTokenSecret);
+    };
+
+    runOAuth1.install = function install(classdef) {
+        // add an "auth" getter that signs requests with the credentials in the device state
+        //
+        // the signer is kept per device, and recreated if the credentials change
+        const signers = new WeakMap;
+        Object.defineProperty(classdef, 'auth', {
+            configurable: true,
+            enumerable: true,
+            get() {
+                let signer = signers.get(this);
+                if (signer === undefined || signer.token !== this.state.accessToken ||
+                    signer.tokenSecret !== this.state.accessTokenSecret) {
+                    signer = runOAuth1.getAuth(this.constructor, this.state.accessToken, this.state.accessTokenSecret);
+                    signers.set(this, signer);
+                }
+                return signer;
+            }
+        });
+
+        // ignore errors defining the properties, in case
+        // a class already has its own definitions
+        try {
+            Object.defineProperty(classdef, 'accessToken', {
+                configurable: false,
+                enumerable: true,
+                get: function() {
+                    return this.state.accessToken;
+                }
+            });
+        } catch(e) {
+            // ignore
+        }
+        try {
+            Object.defineProperty(classdef, 'accessTokenSecret', {
+                configurable: false,
+                enumerable: true,
+                get: function() {
+                    return this.state.accessTokenSecret;
+                }
+            });
+        } catch(e) {
+            // ignore
+        }
+    };
+
+    return runOAuth1;
+};
@@ -20,45 +20,216 @@
 "use strict";
 
 const crypto = require('crypto');
-const oauth = require('oauth');
+const qs = require('querystring');
 
-const { OAuthError } = require('../errors');
+const Http = require('./http');
+const Form = require('./form');
+const OpenID = require('./openid_connect');
+const { OAuthError, HttpError } = require('../errors');
+const { rot13 } = require('../utils');
 
-// encryption ;)
-function rot13(x) {
-    return Array.prototype.map.call(x, (ch) => {
-        var code = ch.charCodeAt(0);
-        if (code >= 0x41 && code <= 0x5a)
-            code = (((code - 0x41) + 13) % 26) + 0x41;
-        else if (code >= 0x61 && code <= 0x7a)
-            code = (((code - 0x61) + 13) % 26) + 0x61;
+// send a request to an endpoint of the authorization server, and parse the JSON response
+//
+// we don't use the OAuth2 client of the `oauth` package, because it sends requests
+// with its own HTTP client: going through Helpers.Http instead, token requests are
+// visible to HTTP middleware and honor the proxy configuration, and the error code in
+// the response (RFC 6749, section 5.2) is available to the caller
+async function postToEndpoint(platform, url, client_id, client_secret, customHeaders, params) {
+    const body = Object.assign({ client_id }, params);
+    // public clients (using PKCE) have no secret
+    if (client_secret)
+        body.client_secret = client_secret;
+
+    let response;
+    try {
+        response = await Http.post(url, Form.urlencoded(body), {
+            accept: 'application/json',
+            extraHeaders: customHeaders,
+            platform,
+            debug: false
+        });
+    } catch(e) {
+        if (!(e instanceof HttpError))
+            throw e;
+
+        // the error response should be JSON (RFC 6749, section 5.2)
+        let message = e.message;
+        let code;
+        try {
+            const parsed = JSON.parse(e.body);
+            if (parsed.error_description || parsed.error)
+                message = String(parsed.error_description || parsed.error);
+            if (parsed.error)
+                code = String(parsed.error);
+        } catch(e2) {
+            // ignore malformed error responses
+        }
+        throw new OAuthError(message, code);
+    }
+
+    // some providers return a form-encoded response even if we ask for JSON
+    try {
+        return JSON.parse(response);
+    } catch(e) {
+        return qs.parse(response);
+    }
+}
+
+// exchange a grant for an access token (RFC 6749, sections 4.1.3 and 6)
+async function getAccessToken(platform, url, client_id, client_secret, customHeaders, params) {
+    const result = await postToEndpoint(platform, url, client_id, client_secret, customHeaders, params);
+    const accessToken = result.access_token;
+    const refreshToken = result.refresh_token;
+    delete result.refresh_token;
+    return [accessToken, refreshToken, result];
+}
+
+// encode a buffer as base64url without padding (RFC 7636, appendix A)
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// the client secret from the manifest, or from the (obfuscated) mixin parameters
+function getClientSecret(factory, params) {
+    if (factory.metadata.auth.client_secret)
+        return factory.metadata.auth.client_secret;
+    if (params.client_secret)
+        return rot13(params.client_secret);
+    return undefined;
+}
+
+// the headers of requests to the authorization server: the custom headers from
+// the mixin parameters, and the client credentials if the server wants them in
+// an Authorization header
+function getClientHeaders(params, client_id, client_secret) {
+    const headers = Object.assign({}, params.custom_headers);
+    if (params.use_basic_client_auth && client_secret)
+        headers['Authorization'] = 'Basic ' + Buffer.from(client_id + ':' + client_secret).toString('base64');
+    return headers;
+}
+
+function wrapTokenError(e) {
+    console.error('Error obtaining access token', e);
+    if (!e.message)
+        throw new OAuthError('Error obtaining access token');
+    else
+        throw new OAuthError(e.message, e instanceof OAuthError ? e.code : undefined);
+}
+
+// add refreshCredentials() to a device class, calling doRefresh to obtain the new token
+function installRefreshCredentials(classdef, doRefresh) {
+    // the refresh in progress for each device, so concurrent requests share it
+    // (some providers issue single-use refresh tokens, and a second refresh
+    // with the same token would fail)
+    const refreshing = new WeakMap;
+
+    Object.defineProperty(classdef, 'refreshCredentials', {
+        value: function refreshCredentials() {
+            let promise = refreshing.get(this);
+            if (promise === undefined) {
+                promise = Promise.resolve().then(() => this._doRefreshCredentials());
+                refreshing.set(this, promise);
+                const clear = () => {
+                    refreshing.delete(this);
+                };
+                promise.then(clear, clear);
+            }
+            return promise;
+        },
+        configurable: true,
+        enumerable: false,
+        writable: true
+    });
+    Object.defineProperty(classdef, '_doRefreshCredentials', {
+        value: doRefresh,
+        configurable: true,
+        enumerable: false,
+        writable: true
+    });
+}
 
-        return String.fromCharCode(code);
-    }).join('');
+function installStateGetter(classdef, name) {
+    // ignore errors defining the property, in case
+    // a class already has its own definition
+    try {
+        Object.defineProperty(classdef, name, {
+            configurable: false,
+            enumerable: true,
+            get: function() {
+                return this.state[name];
+            }
+        });
+    } catch(e) {
+        // ignore
+    }
+}
+
+function installQueryInterface(classdef) {
+    var oldqueryInterface = classdef.queryInterface;
+    Object.defineProperty(classdef, 'queryInterface', {
+        value: function queryInterface(iface) {
+            if (iface === 'oauth2')
+                return this;
+            else
+                return oldqueryInterface ? oldqueryInterface.call(this, iface) : null;
+        },
+        configurable: true,
+        enumerable: false,
+        writable: true
+    });
 }
 
 module.exports = function OAuth2Helper(params) {
+    // the endpoints of the authorization server; with OpenID Connect, those
+    // that are not specified explicitly are discovered from the issuer
+    async function getEndpoints(platform) {
+        if (!params.issuer)
+            return { authorize: params.authorize, get_access_token: params.get_access_token };
+
+        const config = await OpenID.discover(platform, params.issuer);
+        return {
+            authorize: params.authorize || config.authorization_endpoint,
+            get_access_token: params.get_access_token || config.token_endpoint
+        };
+    }
+
+    function getScope() {
+        const scope = params.scope ? params.scope.slice() : [];
+        // OpenID Connect requests must include the "openid" scope
+        if (params.issuer && !scope.includes('openid'))
+            scope.unshift('openid');
+        return scope;
+    }
+
+    // validate the ID token (with OpenID Connect) and create the device
+    async function complete(engine, factory, client_id, [accessToken, refreshToken, extraData], nonce) {
+        if (params.issuer) {
+            if (!extraData.id_token)
+                throw new OAuthError('Missing ID token in the OpenID Connect response');
+            extraData.id_token_claims = await OpenID.verifyIdToken(engine.platform, params.issuer, extraData.id_token,
+                                                                   { client_id, nonce });
+        }
+
+        if (params.callback)
+            return params.callback(engine, accessToken, refreshToken, extraData);
+        else
+            return factory.loadFromOAuth2(engine, accessToken, refreshToken, extraData);
+    }
+
     function runOAuth2(engine, req) {
+        return getEndpoints(engine.platform).then((endpoints) => doRunOAuth2.call(this, engine, req, endpoints));
+    }
+
+    function doRunOAuth2(engine, req, endpoints) {
         const factory = this;
         if (!factory.metadata.auth.client_id && !params.client_id)
             throw new OAuthError('Missing OAuth Client ID in Authentication part of the manifest');
         const client_id = factory.metadata.auth.client_id || params.client_id;
-        if (!factory.metadata.auth.client_secret && !params.client_secret)
+        if (!factory.metadata.auth.client_secret && !params.client_secret && !params.use_pkce)
             throw new OAuthError('Missing OAuth Client Secret in Authentication part of the manifest');
-        const client_secret = factory.metadata.auth.client_secret || rot13(params.client_secret);
+        const client_secret = getClientSecret(factory, params);
 
-        const customHeaders = params.custom_headers || {};
-        if (params.use_basic_client_auth) {
-            console.log('Setting basic auth header');
-            customHeaders['Authorization'] = 'Basic ' + (new Buffer(client_id + ':' + client_secret).toString('base64'));
-        }
-        const auth = new oauth.OAuth2(client_id,
-                                      client_secret,
-                                      '',
-                                      params.authorize,
-                                      params.get_access_token,
-                                      customHeaders);
-        auth.useAuthorizationHeaderforGET(true);
+        const customHeaders = getClientHeaders(params, client_id, client_secret);
         const origin = engine.platform.getOrigin();
         let redirect_uri;
         if (params.redirect_uri)
@@ -80,15 +251,35 @@ module.exports = function OAuth2Helper(params) {
                 query.state = state;
                 session['oauth2-state-' + factory.metadata.kind] = state;
             }
-            if (params.scope)
-                query.scope = params.scope.join(' ');
+            const scope = getScope();
+            if (scope.length > 0)
+                query.scope = scope.join(' ');
+            if (params.issuer) {
+                // bind the ID token to this request (OpenID Connect Core 1.0, section 3.1.2.1)
+                const nonce = crypto.randomBytes(16).toString('hex');
+                query.nonce = nonce;
+                session['oauth2-nonce-' + factory.metadata.kind] = nonce;
+            }
+            if (params.use_pkce) {
+                // Proof Key for Code Exchange (RFC 7636)
+                const verifier = base64url(crypto.randomBytes(32));
+                query.code_challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+                query.code_challenge_method = 'S256';
+                session['oauth2-code-verifier-' + factory.metadata.kind] = verifier;
+            }
+
+            query.client_id = client_id;
 
-            return [auth.getAuthorizeUrl(query), session];
+            return [endpoints.authorize + '?' + qs.stringify(query), session];
         } else {
             // step 2
 
             const expectedState = req.session['oauth2-state-' + factory.metadata.kind];
             delete req.session['oauth2-state-' + factory.metadata.kind];
+            const codeVerifier = req.session['oauth2-code-verifier-' + factory.metadata.kind];
+            delete req.session['oauth2-code-verifier-' + factory.metadata.kind];
+            const nonce = req.session['oauth2-nonce-' + factory.metadata.kind];
+            delete req.session['oauth2-nonce-' + factory.metadata.kind];
 
             // according to RFC 6749, if the user cancels, or some error
             // occurs, the browser is redirected to the configured redirect URL,
@@ -126,113 +317,218 @@ module.exports = function OAuth2Helper(params) {
 
             const options = {
                 grant_type: 'authorization_code',
+                code: code,
                 redirect_uri: redirect_uri
             };
-            return new Promise((resolve, reject) => {
-                auth.getOAuthAccessToken(code, options, (err, accessToken, refreshToken, extraData) => {
-                    if (err)
-                        reject(err);
-                    else
-                        resolve([accessToken, refreshToken, extraData]);
-                });
-            }).then(([accessToken, refreshToken, extraData]) => {
-                if (params.callback)
-                    return params.callback(engine, accessToken, refreshToken, extraData);
-                else
-                    return factory.loadFromOAuth2(engine, accessToken, refreshToken, extraData);
-            }).catch((e) => {
-                console.error('Error obtaining access token', e);
-                if (!e.message)
-                    throw new OAuthError('Error obtaining access token');
-                else
-                    throw new OAuthError(e.message);
-            });
+            if (params.use_pkce) {
+                if (!codeVerifier)
+                    return Promise.reject(new OAuthError("Missing PKCE code verifier"));
+                options.code_verifier = codeVerifier;
+            }
+            if (params.issuer && !nonce)
+                return Promise.reject(new OAuthError("Missing OpenID Connect nonce"));
+            return getAccessToken(engine.platform, endpoints.get_access_token, client_id, client_secret,
+                                  customHeaders, options).then((result) => {
+                return complete(engine, factory, client_id, result, nonce);
+            }).catch(wrapTokenError);
         }
     }
 
+    if (params.device_authorization) {
+        // the device authorization grant (RFC 8628), for clients that cannot open a browser
+        //
+        // like runOAuth2, this is called with the device class as "this"
+        runOAuth2.deviceAuthorization = async function deviceAuthorization(engine, delegate) {
+            const factory = this;
+            if (!factory.metadata.auth.client_id && !params.client_id)
+                throw new OAuthError('Missing OAuth Client ID in Authentication part of the manifest');
+            const client_id = factory.metadata.auth.client_id || params.client_id;
+            const client_secret = getClientSecret(factory, params);
+
+            const customHeaders = getClientHeaders(params, client_id, client_secret);
+
+            const endpoints = await getEndpoints(engine.platform);
+            const query = {};
+            const scope = getScope();
+            if (scope.length > 0)
+                query.scope = scope.join(' ');
+            const authorization = await postToEndpoint(engine.platform, params.device_authorization, client_id,
+                                                       client_secret, customHeaders, query).catch(wrapTokenError);
+            if (!authorization.device_code || !authorization.user_code || !authorization.verification_uri)
+                throw new OAuthError('Invalid response from the device authorization endpoint');
+
+            const expiresIn = Number(authorization.expires_in || 1800);
+            const expires = Date.now() + expiresIn * 1000;
+            if (typeof delegate.showDeviceCode === 'function') {
+                await delegate.showDeviceCode({
+                    verificationUri: authorization.verification_uri,
+                    verificationUriComplete: authorization.verification_uri_complete,
+                    userCode: authorization.user_code,
+                    expiresIn
+                });
+            } else {
+                // older delegates can only ask questions, so we wait until the user
+                // answers before we check if they completed the authorization
+                await delegate.requestCode(`Open ${authorization.verification_uri} and enter the code ${authorization.user_code}, then reply when you are done.`);
+            }
+
+            // the interval is in seconds, and defaults to 5 (RFC 8628, section 3.2)
+            let interval = authorization.interval !== undefined ? Number(authorization.interval) * 1000 : 5000;
+            for (;;) {
+                await new Promise((resolve) => setTimeout(resolve, interval));
+                if (Date.now() >= expires)
+                    throw new OAuthError('The authorization request expired', 'expired_token');
+
+                let result;
+                try {
+                    result = await getAccessToken(engine.platform, endpoints.get_access_token, client_id, client_secret, customHeaders, {
+                        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                        device_code: authorization.device_code
+                    });
+                } catch(e) {
+                    // the user has not completed authorization yet (RFC 8628, section 3.5)
+                    if (e instanceof OAuthError && e.code === 'authorization_pending')
+                        continue;
+                    if (e instanceof OAuthError && e.code === 'slow_down') {
+                        interval += 5000;
+                        continue;
+                    }
+                    return wrapTokenError(e);
+                }
+
+                return complete(engine, factory, client_id, result, undefined);
+            }
+        };
+    }
+
     runOAuth2.install = function install(classdef) {
-        Object.defineProperty(classdef, 'refreshCredentials', {
-            value: function refreshCredentials() {
-                const origin = this.engine.platform.getOrigin();
+        installRefreshCredentials(classdef, function _doRefreshCredentials() {
+            const origin = this.engine.platform.getOrigin();
+            const factory = this.constructor;
+            const client_id = factory.metadata.auth.client_id || params.client_id;
+            const client_secret = getClientSecret(factory, params);
+            let redirect_uri;
+            if (params.redirect_uri)
+                redirect_uri = params.redirect_uri;
+            else
+                redirect_uri = origin + '/devices/oauth2/callback/' + factory.metadata.kind;
+
+            const options = {
+                grant_type: 'refresh_token',
+                refresh_token: this.state.refreshToken,
+                redirect_uri: redirect_uri
+            };
+            return getEndpoints(this.engine.platform).then((endpoints) => {
+                return getAccessToken(this.engine.platform, endpoints.get_access_token, client_id, client_secret,
+                                      getClientHeaders(params, client_id, client_secret), options);
+            }).then(([accessToken, refreshToken, extraData]) => {
+                return this.updateOAuth2Token(accessToken, refreshToken, extraData);
+            }).catch(wrapTokenError);
+        });
+
+        installStateGetter(classdef, 'accessToken');
+        installStateGetter(classdef, 'refreshToken');
+        installStateGetter(classdef, 'accessTokenExpires');
+        installQueryInterface(classdef);
+        if (params.revoke)
+            installRevoke(classdef);
+    };
+
+    // revoke the tokens when the device is removed (RFC 7009)
+    function installRevoke(classdef) {
+        const oldremove = classdef.remove;
+        Object.defineProperty(classdef, 'remove', {
+            value: async function remove() {
                 const factory = this.constructor;
                 const client_id = factory.metadata.auth.client_id || params.client_id;
-                const client_secret = factory.metadata.auth.client_secret || rot13(params.client_secret);
-                const auth = new oauth.OAuth2(client_id,
-                                              client_secret,
-                                              '',
-                                              params.authorize,
-                                              params.get_access_token);
-                auth.useAuthorizationHeaderforGET(true);
-                let redirect_uri;
-                if (params.redirect_uri)
-                    redirect_uri = params.redirect_uri;
-                else
-                    redirect_uri = origin + '/devices/oauth2/callback/' + factory.metadata.kind;
-
-                const options = {
-                    grant_type: 'refresh_token',
-                    redirect_uri: redirect_uri
-                };
-                return new Promise((resolve, reject) => {
-                    auth.getOAuthAccessToken(this.state.refreshToken, options, (err, accessToken, refreshToken, extraData) => {
-                        if (err)
-                            reject(err);
-                        else
-                            resolve([accessToken, refreshToken, extraData]);
-                    });
-                }).then(([accessToken, refreshToken, extraData]) => {
-                    return this.updateOAuth2Token(accessToken, refreshToken, extraData);
-                }).catch((e) => {
-                    console.error('Error obtaining access token', e);
-                    if (!e.message)
-                        throw new OAuthError('Error obtaining access token');
-                    else
-                        throw new OAuthError(e.message);
-                });
+                const client_secret = getClientSecret(factory, params);
+
+                // revoking the refresh token first ensures the access token cannot be refreshed,
+                // and some providers revoke the access token with it
+                const tokens = [['refresh_token', this.state.refreshToken], ['access_token', this.state.accessToken]];
+                for (let [hint, token] of tokens) {
+                    if (!token)
+                        continue;
+                    try {
+                        await postToEndpoint(this.platform, params.revoke, client_id, client_secret,
+                                             getClientHeaders(params, client_id, client_secret), {
+                            token: token,
+                            token_type_hint: hint
+                        });
+                    } catch(e) {
+                        // the device is removed anyway: the worst case is a token that remains
+                        // valid until it expires
+                        console.error(`Failed to revoke OAuth ${hint} for ${this.uniqueId}: ${e.message}`);
+                    }
+                }
+
+                if (oldremove)
+                    await oldremove.call(this);
             },
             configurable: true,
             enumerable: false,
             writable: true
         });
+    }
 
-        // ignore errors definining the properties, in case
-        // a class already has its own definitions
-        try {
-            Object.defineProperty(classdef, 'accessToken', {
-                configurable: false,
-                enumerable: true,
-                get: function() {
-                    return this.state.accessToken;
-                }
-            });
-        } catch(e) {
-            // ignore
-        }
-        try {
-            Object.defineProperty(classdef, 'refreshToken', {
-                configurable: false,
-                enumerable: true,
-                get: function() {
-                    return this.state.refreshToken;
-                }
-            });
-        } catch(e) {
-            // ignore
-        }
+    return runOAuth2;
+};
 
-        var oldqueryInterface = classdef.queryInterface;
-        Object.defineProperty(classdef, 'queryInterface', {
-            value: function queryInterface(iface) {
-                if (iface === 'oauth2')
-                    return this;
-                else
-                    return oldqueryInterface ? oldqueryInterface.call(this, iface) : null;
-            },
+/**
+ * Obtain OAuth 2.0 access tokens with the client credentials grant (RFC 6749, section 4.4).
+ *
+ * The returned object has a single `install` method, which adds the `oauth2` interface
+ * to a device class (through its prototype), in the same way as the helper for the
+ * authorization code grant: tokens are requested on demand, stored in the device state,
+ * and requested again when they expire or they are rejected.
+ *
+ * @param {Object} params - the client parameters
+ * @param {string} [params.client_id] - the client ID, if not specified in the manifest
+ * @param {string} [params.client_secret] - the client secret (obfuscated with ROT13), if not specified in the manifest
+ * @param {string} params.get_access_token - the URL of the token endpoint
+ * @param {string[]} [params.scope] - the scopes to request
+ * @param {boolean} [params.use_basic_client_auth=false] - authenticate the client with HTTP Basic authentication,
+ *                                                         instead of passing the credentials in the request body
+ * @return {Object} an object with an `install` method
+ * @alias Helpers.OAuth2.clientCredentials
+ */
+module.exports.clientCredentials = function clientCredentials(params) {
+    function install(classdef) {
+        installRefreshCredentials(classdef, function _doRefreshCredentials() {
+            const factory = this.constructor;
+            const client_id = factory.metadata.auth.client_id || params.client_id;
+            const client_secret = getClientSecret(factory, params);
+            if (!client_id || !client_secret)
+                return Promise.reject(new OAuthError('Missing OAuth Client ID or Client Secret in Authentication part of the manifest'));
+
+            const customHeaders = getClientHeaders(params, client_id, client_secret);
+            const options = { grant_type: 'client_credentials' };
+            // the client authenticates with either Basic auth or the request body, never both
+            // (RFC 6749, section 2.3)
+            if (params.scope)
+                options.scope = params.scope.join(' ');
+
+            return getAccessToken(this.platform, params.get_access_token, client_id,
+                                  params.use_basic_client_auth ? undefined : client_secret,
+                                  customHeaders, options).then(([accessToken, refreshToken, extraData]) => {
+                // there is no refresh token in this grant: when the token expires, we ask for a new one
+                return this.updateOAuth2Token(accessToken, undefined, extraData);
+            }).catch(wrapTokenError);
+        });
+
+        // new tokens can be requested at any time, so Helpers.Http can refresh them
+        // even without a refresh token
+        Object.defineProperty(classdef, 'canRefreshCredentials', {
             configurable: true,
             enumerable: false,
-            writable: true
+            get() {
+                return true;
+            }
         });
-    };
+        installStateGetter(classdef, 'accessToken');
+        installStateGetter(classdef, 'accessTokenExpires');
+        installQueryInterface(classdef);
+    }
 
-    return runOAuth2;
+    return { install };
 };
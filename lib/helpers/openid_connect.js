@@ -0,0 +1,242 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const crypto = require('crypto');
+
+const Http = require('./http');
+const { OAuthError } = require('../errors');
+
+// how long to keep the discovery document and the signing keys of a provider, in milliseconds
+const CACHE_TTL = 3600000;
+// tolerance for the clock difference with the provider, in milliseconds
+const CLOCK_SKEW = 60000;
+
+// the JWS algorithms we can verify (RFC 7518, section 3.1)
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', hash: 'sha256' },
+    RS384: { kty: 'RSA', hash: 'sha384' },
+    RS512: { kty: 'RSA', hash: 'sha512' },
+    PS256: { kty: 'RSA', hash: 'sha256', pss: true },
+    PS384: { kty: 'RSA', hash: 'sha384', pss: true },
+    PS512: { kty: 'RSA', hash: 'sha512', pss: true },
+    ES256: { kty: 'EC', hash: 'sha256', crv: 'P-256', size: 32 },
+    ES384: { kty: 'EC', hash: 'sha384', crv: 'P-384', size: 48 },
+    ES512: { kty: 'EC', hash: 'sha512', crv: 'P-521', size: 66 },
+};
+
+// DER encodings of the object identifiers of the key types and curves
+const OID_RSA_ENCRYPTION = Buffer.from('06092a864886f70d010101', 'hex');
+const OID_EC_PUBLIC_KEY = Buffer.from('06072a8648ce3d0201', 'hex');
+const OID_CURVES = {
+    'P-256': Buffer.from('06082a8648ce3d030107', 'hex'),
+    'P-384': Buffer.from('06052b81040022', 'hex'),
+    'P-521': Buffer.from('06052b81040023', 'hex'),
+};
+
+const _discoveryCache = new Map;
+const _keyCache = new Map;
+
+function base64urlDecode(string) {
+    return Buffer.from(string.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function der(tag, content) {
+    let length;
+    if (content.length < 0x80) {
+        length = Buffer.from([content.length]);
+    } else {
+        const bytes = [];
+        for (let n = content.length; n > 0; n >>= 8)
+            bytes.unshift(n & 0xff);
+        length = Buffer.from([0x80 | bytes.length].concat(bytes));
+    }
+    return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+function derInteger(buffer) {
+    let start = 0;
+    while (start < buffer.length - 1 && buffer[start] === 0)
+        start++;
+    buffer = buffer.slice(start);
+    // integers are signed, so a leading bit set needs a zero byte in front
+    if (buffer[0] & 0x80)
+        buffer = Buffer.concat([Buffer.from([0]), buffer]);
+    return der(0x02, buffer);
+}
+
+function derSequence(...items) {
+    return der(0x30, Buffer.concat(items));
+}
+
+function derBitString(content) {
+    return der(0x03, Buffer.concat([Buffer.from([0]), content]));
+}
+
+// convert a public key in JWK format (RFC 7517) to PEM
+//
+// (we cannot use crypto.createPublicKey with JWK input, because it is not available in all
+// the versions of node we support)
+function jwkToPem(jwk) {
+    let spki;
+    if (jwk.kty === 'RSA') {
+        const key = derSequence(derInteger(base64urlDecode(jwk.n)), derInteger(base64urlDecode(jwk.e)));
+        spki = derSequence(derSequence(OID_RSA_ENCRYPTION, Buffer.from('0500', 'hex')), derBitString(key));
+    } else if (jwk.kty === 'EC' && OID_CURVES[jwk.crv]) {
+        const point = Buffer.concat([Buffer.from([4]), base64urlDecode(jwk.x), base64urlDecode(jwk.y)]);
+        spki = derSequence(derSequence(OID_EC_PUBLIC_KEY, OID_CURVES[jwk.crv]), derBitString(point));
+    } else {
+        throw new OAuthError(`Unsupported key type ${jwk.kty}`);
+    }
+
+    const lines = spki.toString('base64').match(/.{1,64}/g);
+    return '-----BEGIN PUBLIC KEY-----\n' + lines.join('\n') + '\n-----END PUBLIC KEY-----\n';
+}
+
+function verifySignature(algorithm, jwk, input, signature) {
+    const alg = ALGORITHMS[algorithm];
+    if (jwk.kty !== alg.kty || (alg.crv && jwk.crv !== alg.crv))
+        return false;
+
+    if (alg.kty === 'EC') {
+        // JWS uses the concatenation of r and s, while node expects the DER encoding
+        if (signature.length !== 2 * alg.size)
+            return false;
+        signature = derSequence(derInteger(signature.slice(0, alg.size)), derInteger(signature.slice(alg.size)));
+    }
+
+    const key = { key: jwkToPem(jwk) };
+    if (alg.pss) {
+        key.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+        key.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    }
+    return crypto.createVerify(alg.hash).update(input).verify(key, signature);
+}
+
+function getCached(cache, key, fetch, refresh = false) {
+    const cached = cache.get(key);
+    if (cached !== undefined && !refresh && cached.expires > Date.now())
+        return cached.promise;
+
+    const promise = fetch();
+    cache.set(key, { promise, expires: Date.now() + CACHE_TTL });
+    promise.catch(() => {
+        // do not cache failures
+        if (cache.get(key) !== undefined && cache.get(key).promise === promise)
+            cache.delete(key);
+    });
+    return promise;
+}
+
+/**
+ * Retrieve the OpenID Connect discovery document of a provider.
+ *
+ * The document is cached for one hour.
+ *
+ * @param {BasePlatform} platform - the platform to use for HTTP requests
+ * @param {string} issuer - the issuer identifier of the provider
+ * @return {Object} the provider configuration
+ * @private
+ */
+function discover(platform, issuer) {
+    return getCached(_discoveryCache, issuer, async () => {
+        const url = issuer.replace(/\/+$/, '') + '/.well-known/openid-configuration';
+        const config = JSON.parse(await Http.get(url, { accept: 'application/json', platform }));
+
+        // the issuer in the document must match exactly the one we asked for
+        // (OpenID Connect Discovery 1.0, section 4.3)
+        if (config.issuer !== issuer)
+            throw new OAuthError(`Invalid OpenID Connect configuration: expected issuer ${issuer}, found ${config.issuer}`);
+        return config;
+    });
+}
+
+function getKeys(platform, jwksUri, refresh) {
+    return getCached(_keyCache, jwksUri, async () => {
+        const jwks = JSON.parse(await Http.get(jwksUri, { accept: 'application/json', platform }));
+        return (jwks.keys || []).filter((k) => !k.use || k.use === 'sig');
+    }, refresh);
+}
+
+/**
+ * Validate an ID token issued by an OpenID Connect provider.
+ *
+ * This checks the signature with the keys published by the provider, the issuer,
+ * the audience, the expiration time and the nonce (OpenID Connect Core 1.0, section 3.1.3.7).
+ *
+ * @param {BasePlatform} platform - the platform to use for HTTP requests
+ * @param {string} issuer - the issuer identifier of the provider
+ * @param {string} idToken - the ID token, in compact JWS serialization
+ * @param {Object} options - additional options
+ * @param {string} options.client_id - the client ID that must be in the audience of the token
+ * @param {string} [options.nonce] - the nonce sent in the authentication request, if any
+ * @return {Object} the claims in the token
+ * @private
+ */
+async function verifyIdToken(platform, issuer, idToken, options) {
+    const parts = String(idToken).split('.');
+    if (parts.length !== 3)
+        throw new OAuthError('Invalid ID token: malformed token');
+
+    let header, claims;
+    try {
+        header = JSON.parse(base64urlDecode(parts[0]).toString('utf8'));
+        claims = JSON.parse(base64urlDecode(parts[1]).toString('utf8'));
+    } catch(e) {
+        throw new OAuthError('Invalid ID token: malformed token');
+    }
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, header.alg))
+        throw new OAuthError(`Invalid ID token: unsupported algorithm ${header.alg}`);
+
+    const config = await discover(platform, issuer);
+    if (!config.jwks_uri)
+        throw new OAuthError('Invalid OpenID Connect configuration: missing jwks_uri');
+
+    const findKeys = (keys) => keys.filter((k) => header.kid === undefined || k.kid === header.kid);
+    let keys = findKeys(await getKeys(platform, config.jwks_uri, false));
+    // the provider might have rotated its keys since we last fetched them
+    if (keys.length === 0)
+        keys = findKeys(await getKeys(platform, config.jwks_uri, true));
+
+    const input = parts[0] + '.' + parts[1];
+    const signature = base64urlDecode(parts[2]);
+    if (!keys.some((k) => verifySignature(header.alg, k, input, signature)))
+        throw new OAuthError('Invalid ID token: signature verification failed');
+
+    if (claims.iss !== config.issuer)
+        throw new OAuthError('Invalid ID token: wrong issuer');
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audience.includes(options.client_id))
+        throw new OAuthError('Invalid ID token: wrong audience');
+    // with multiple audiences, the token must be issued to us (OpenID Connect Core 1.0, section 2)
+    if (audience.length > 1 && claims.azp !== undefined && claims.azp !== options.client_id)
+        throw new OAuthError('Invalid ID token: wrong authorized party');
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 + CLOCK_SKEW <= Date.now())
+        throw new OAuthError('Invalid ID token: the token is expired');
+    if (options.nonce !== undefined && claims.nonce !== options.nonce)
+        throw new OAuthError('Invalid ID token: wrong nonce');
+
+    return claims;
+}
+
+module.exports = {
+    discover,
+    verifyIdToken
+};
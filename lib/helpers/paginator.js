@@ -0,0 +1,79 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const Utils = require('../utils');
+
+// look up a chain of properties separated by `.` in a parsed response,
+// or call `path` to extract the value
+function getProperty(value, path, context) {
+    if (typeof path === 'function')
+        return path(value, context);
+    for (let prop of Utils.splitpropchain(path)) {
+        if (value === null || value === undefined)
+            return undefined;
+        value = value[prop];
+    }
+    return value;
+}
+
+// the base class of the async iterators returned by Http.paginate() and GraphQL.paginate()
+//
+// subclasses implement _fetchPage(), which appends the results of the next page to
+// this._buffer and sets this._done after the last page; pages are only fetched when
+// the buffer is empty, and never after the limit is reached
+class Paginator {
+    constructor(options) {
+        this._limit = options.limit !== undefined ? options.limit :
+            (options.hints && options.hints.limit !== undefined ? options.hints.limit : Infinity);
+
+        this._buffer = [];
+        this._count = 0;
+        this._done = false;
+    }
+
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    async next() {
+        while (this._buffer.length === 0 && !this._done && this._count < this._limit)
+            await this._fetchPage();
+        if (this._buffer.length === 0 || this._count >= this._limit) {
+            this._done = true;
+            this._buffer = [];
+            return { done: true, value: undefined };
+        }
+
+        this._count++;
+        return { done: false, value: this._buffer.shift() };
+    }
+
+    async return() {
+        this._done = true;
+        this._buffer = [];
+        return { done: true, value: undefined };
+    }
+}
+
+module.exports = {
+    Paginator,
+    getProperty
+};
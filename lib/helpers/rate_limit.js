@@ -0,0 +1,133 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const { TimeoutError } = require('../errors');
+
+// all the limiters created with RateLimiter.get(), shared by all devices
+// in the process
+const _limiters = new Map;
+
+/**
+ * A token bucket rate limiter.
+ *
+ * The bucket holds up to `burst` tokens, and it is refilled with `requests` tokens
+ * every `interval` milliseconds. Each operation consumes one token. If no token is
+ * available, operations are queued in order until enough tokens are available.
+ *
+ * Rate limiters are normally shared through {@link Helpers.RateLimiter.get}, so that
+ * all devices accessing the same service are subject to the same limit.
+ *
+ * @alias Helpers.RateLimiter
+ */
+class RateLimiter {
+    /**
+     * Construct a new rate limiter.
+     *
+     * @param {Object} options - limiter options
+     * @param {number} options.requests - how many operations are allowed every `interval`
+     * @param {number} [options.interval=1000] - the length of the interval, in milliseconds
+     * @param {number} [options.burst] - how many operations can be performed at once (defaults to `requests`)
+     * @param {number} [options.maxWait=Infinity] - the maximum time an operation can be queued, in milliseconds
+     */
+    constructor(options) {
+        if (!(options.requests > 0))
+            throw new TypeError(`Invalid rate limit, the number of requests must be positive`);
+
+        this.requests = options.requests;
+        this.interval = options.interval || 1000;
+        this.burst = options.burst || options.requests;
+        this.maxWait = options.maxWait === undefined ? Infinity : options.maxWait;
+
+        // the number of available tokens; this becomes negative when operations
+        // are queued, as each queued operation reserves the next available token
+        this._tokens = this.burst;
+        this._lastRefill = Date.now();
+    }
+
+    /**
+     * Retrieve the shared rate limiter with the given key, creating it if necessary.
+     *
+     * If a limiter with the same key already exists, its configuration is not changed.
+     *
+     * @param {string} key - a key identifying the limited resource (e.g. a hostname or an API key)
+     * @param {Object} options - limiter options, as in the {@link Helpers.RateLimiter} constructor
+     * @return {Helpers.RateLimiter} the shared limiter
+     */
+    static get(key, options) {
+        let limiter = _limiters.get(key);
+        if (limiter === undefined) {
+            limiter = new RateLimiter(options);
+            _limiters.set(key, limiter);
+        }
+        return limiter;
+    }
+
+    _refill() {
+        const now = Date.now();
+        this._tokens = Math.min(this.burst, this._tokens + (now - this._lastRefill) * this.requests / this.interval);
+        this._lastRefill = now;
+    }
+
+    /**
+     * Wait until an operation can be performed, and consume one token.
+     *
+     * If the operation would have to wait longer than `maxWait`, the returned promise
+     * is rejected immediately with a {@link TimeoutError}, and no token is consumed.
+     *
+     * If `cancelled` is provided and it rejects while the operation is queued, the
+     * operation leaves the queue, its token is returned, and the returned promise is
+     * rejected with the same error.
+     *
+     * @param {number} [maxWait] - override the maximum queueing time for this operation
+     * @param {Promise} [cancelled] - a promise that rejects when the operation is cancelled
+     * @async
+     */
+    acquire(maxWait = this.maxWait, cancelled) {
+        this._refill();
+        this._tokens -= 1;
+        if (this._tokens >= 0)
+            return Promise.resolve();
+
+        const wait = Math.ceil(-this._tokens * this.interval / this.requests);
+        if (wait > maxWait) {
+            this._tokens += 1;
+            return Promise.reject(new TimeoutError(`Rate limit exceeded, the request would be delayed by ${wait} ms`));
+        }
+        return new Promise((resolve, reject) => {
+            let done = false;
+            const timer = setTimeout(() => {
+                done = true;
+                resolve();
+            }, wait);
+            if (!cancelled)
+                return;
+            cancelled.then(null, (err) => {
+                if (done)
+                    return;
+                done = true;
+                clearTimeout(timer);
+                this._tokens += 1;
+                reject(err);
+            });
+        });
+    }
+}
+module.exports = RateLimiter;
@@ -0,0 +1,357 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const stream = require('stream');
+const WS = require('ws');
+
+const RefCounted = require('./ref_counted');
+const { HttpError } = require('../errors');
+
+const DEFAULT_PING_INTERVAL = 30000;
+const DEFAULT_MIN_DELAY = 1000;
+const DEFAULT_MAX_DELAY = 60000;
+const CLOSE_TIMEOUT = 5000;
+
+/**
+ * Callback called to convert a WebSocket message into the objects emitted by a stream.
+ *
+ * @callback Helpers.WebSocket~ParseCallback
+ * @param {string|Buffer|Object} message - the message received from the server (parsed as JSON
+ *                                         if the `json` option is set)
+ * @return {Object|Object[]|null} the object to emit, a list of objects, or `null` to skip the message
+ */
+
+/**
+ * A persistent WebSocket connection to a push API.
+ *
+ * The connection is reference counted: it is established when it is first opened,
+ * and closed when the last user closes it. While open, it is reestablished automatically
+ * when it drops, with exponential backoff, and it is kept alive with ping frames: if the
+ * server does not answer a ping before the next one is due, the connection is
+ * considered dead and reopened.
+ *
+ * Messages are reported with the `message` event, and the `open` event is emitted on
+ * every (re)connection, so that devices can send their subscription requests again.
+ * Use {@link Helpers.WebSocket#createStream} to implement a `subscribe_*` function.
+ *
+ * @extends Helpers.RefCounted
+ * @alias Helpers.WebSocket
+ */
+class WebSocketClient extends RefCounted {
+    /**
+     * Construct a new WebSocket connection.
+     *
+     * @param {string} url - the `ws:` or `wss:` URL to connect to
+     * @param {Object} [options] - additional options
+     * @param {string|string[]} [options.protocols] - the subprotocols to request
+     * @param {string} [options.auth] - the value of `Authorization` header
+     * @param {BaseDevice} [options.useOAuth2] - if set, the `Authorization` header will be computed for the passed
+     *                                           device based on the OAuth 2.0 standard, and the credentials are refreshed
+     *                                           if the server rejects the connection with status 401; this option is ignored
+     *                                           if `auth` is also set
+     * @param {string} [options.authMethod=Bearer] - set this to override the prefix of the `Authorization` header;
+     *                                        this option is ignored unless `useOAuth2` is set
+     * @param {Object.<string,string>} [options.extraHeaders] - other headers to set in the opening handshake
+     * @param {boolean} [options.json=false] - set to `true` to parse text messages as JSON, and serialize
+     *                                         sent objects as JSON
+     * @param {number} [options.pingInterval=30000] - the interval between ping frames, in milliseconds; set to 0
+     *                                                to disable keepalive
+     * @param {number} [options.minDelay=1000] - the delay before the first reconnection attempt, in milliseconds
+     * @param {number} [options.maxDelay=60000] - the maximum delay between reconnection attempts, in milliseconds
+     */
+    constructor(url, options = {}) {
+        super();
+
+        this.url = url;
+        this._options = options;
+        this._pingInterval = options.pingInterval !== undefined ? options.pingInterval : DEFAULT_PING_INTERVAL;
+        this._minDelay = options.minDelay || DEFAULT_MIN_DELAY;
+        this._maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+
+        this._ws = null;
+        this._stopped = true;
+        this._attempts = 0;
+        this._reconnectTimeout = null;
+        this._pingTimer = null;
+        this._alive = false;
+        this._queue = [];
+    }
+
+    /**
+     * Whether the connection is currently established.
+     *
+     * @type {boolean}
+     * @readonly
+     */
+    get connected() {
+        return this._ws !== null && this._ws.readyState === WS.OPEN;
+    }
+
+    async _doOpen() {
+        this._stopped = false;
+        this._attempts = 0;
+        // wait for the first attempt; if it fails, we keep retrying in the background
+        await this._connect();
+    }
+
+    async _doClose() {
+        this._stopped = true;
+        if (this._reconnectTimeout !== null) {
+            clearTimeout(this._reconnectTimeout);
+            this._reconnectTimeout = null;
+        }
+        this._stopPing();
+        this._queue = [];
+
+        const ws = this._ws;
+        this._ws = null;
+        if (ws === null || ws.readyState === WS.CLOSED)
+            return;
+        await new Promise((resolve) => {
+            const timeout = setTimeout(() => ws.terminate(), CLOSE_TIMEOUT);
+            ws.on('close', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+            if (ws.readyState === WS.CONNECTING)
+                ws.terminate();
+            else
+                ws.close(1000);
+        });
+    }
+
+    _getHeaders() {
+        const headers = Object.assign({}, this._options.extraHeaders);
+        if (this._options.auth) {
+            headers['Authorization'] = this._options.auth;
+        } else if (this._options.useOAuth2) {
+            const oauth2 = this._getOAuth2();
+            if (oauth2 !== null)
+                headers['Authorization'] = (this._options.authMethod || 'Bearer') + ' ' + oauth2.accessToken;
+        }
+        if (!headers['User-Agent'])
+            headers['User-Agent'] = 'Thingpedia/1.0.0 nodejs/' + process.version;
+        return headers;
+    }
+
+    _getOAuth2() {
+        let oauth2 = this._options.useOAuth2;
+        if (!oauth2 || this._options.auth)
+            return null;
+        if (oauth2.queryInterface)
+            oauth2 = oauth2.queryInterface('oauth2');
+        return oauth2;
+    }
+
+    _connect(attemptedAuth = false) {
+        this._reconnectTimeout = null;
+        if (this._stopped)
+            return Promise.resolve();
+
+        return new Promise((resolve) => {
+            const ws = new WS(this.url, this._options.protocols, {
+                headers: this._getHeaders(),
+                handshakeTimeout: this._maxDelay
+            });
+            this._ws = ws;
+
+            let error = null;
+            let unauthorized = false;
+            ws.on('unexpected-response', (req, res) => {
+                res.resume();
+                error = new HttpError(res.statusCode, { url: this.url, method: 'GET', headers: res.headers });
+                const oauth2 = this._getOAuth2();
+                if (res.statusCode === 401 && oauth2 !== null && (oauth2.refreshToken || oauth2.canRefreshCredentials) && !attemptedAuth)
+                    unauthorized = true;
+                ws.terminate();
+            });
+            ws.on('open', () => {
+                this._attempts = 0;
+                this._startPing(ws);
+
+                const queue = this._queue;
+                this._queue = [];
+                for (let data of queue)
+                    ws.send(data);
+
+                /**
+                 * Reports that the connection was established or reestablished.
+                 *
+                 * @event Helpers.WebSocket#open
+                 */
+                this.emit('open');
+                resolve();
+            });
+            ws.on('message', (data) => {
+                this._alive = true;
+                if (this._options.json && typeof data === 'string') {
+                    try {
+                        data = JSON.parse(data);
+                    } catch(e) {
+                        console.error(`Failed to parse WebSocket message from ${this.url}: ${e.message}`);
+                        return;
+                    }
+                }
+
+                /**
+                 * Reports a message from the server.
+                 *
+                 * @event Helpers.WebSocket#message
+                 * @param {string|Buffer|Object} message - the message (parsed as JSON if the `json` option is set)
+                 */
+                this.emit('message', data);
+            });
+            ws.on('pong', () => {
+                this._alive = true;
+            });
+            ws.on('error', (err) => {
+                // "close" is always emitted after "error", and will take care of reconnecting
+                if (error === null)
+                    error = err;
+            });
+            ws.on('close', (code) => {
+                if (this._ws !== ws)
+                    return;
+                this._stopPing();
+                this._ws = null;
+                resolve();
+                if (this._stopped)
+                    return;
+
+                if (unauthorized) {
+                    console.log('Refreshing OAuth 2 credentials for failure in WebSocket connection to ' + this.url);
+                    this._getOAuth2().refreshCredentials().then(() => this._connect(true), (err) => {
+                        this._scheduleReconnect(err);
+                    });
+                    return;
+                }
+                this._scheduleReconnect(error || new Error(`Connection closed with code ${code}`));
+            });
+        });
+    }
+
+    _scheduleReconnect(error) {
+        if (this._stopped || this._reconnectTimeout !== null)
+            return;
+
+        const delay = Math.min(this._maxDelay, this._minDelay * Math.pow(2, this._attempts));
+        this._attempts++;
+
+        /**
+         * Reports that the connection failed or dropped, and will be retried.
+         *
+         * @event Helpers.WebSocket#reconnecting
+         * @param {Error} error - the reason of the failure
+         * @param {number} delay - the time before the next attempt, in milliseconds
+         */
+        this.emit('reconnecting', error, delay);
+        this._reconnectTimeout = setTimeout(() => this._connect(), delay);
+    }
+
+    _startPing(ws) {
+        this._stopPing();
+        if (!this._pingInterval)
+            return;
+        this._alive = true;
+        this._pingTimer = setInterval(() => {
+            if (!this._alive) {
+                // no pong since the last ping: the connection is dead
+                ws.terminate();
+                return;
+            }
+            this._alive = false;
+            ws.ping();
+        }, this._pingInterval);
+    }
+
+    _stopPing() {
+        if (this._pingTimer !== null) {
+            clearInterval(this._pingTimer);
+            this._pingTimer = null;
+        }
+    }
+
+    /**
+     * Send a message to the server.
+     *
+     * If the connection is currently down, the message is queued and sent when the connection
+     * is reestablished.
+     *
+     * @param {string|Buffer|Object} data - the message to send; objects are serialized as JSON
+     *                                      if the `json` option is set
+     */
+    send(data) {
+        if (this._stopped)
+            throw new Error(`WebSocket connection to ${this.url} is not open`);
+        if (this._options.json && typeof data === 'object' && !Buffer.isBuffer(data))
+            data = JSON.stringify(data);
+        if (this.connected)
+            this._ws.send(data);
+        else
+            this._queue.push(data);
+    }
+
+    /**
+     * Create a stream of the messages received from the server, suitable to be returned
+     * from a `subscribe_*` function.
+     *
+     * The stream holds a reference to this connection, which is released when the stream
+     * is destroyed.
+     *
+     * @param {Helpers.WebSocket~ParseCallback} [parse] - convert messages to stream objects; by default,
+     *                                                    each message is emitted as is
+     * @return {stream.Readable} a readable stream in object mode
+     */
+    createStream(parse = (message) => message) {
+        const onMessage = (message) => {
+            let results;
+            try {
+                results = parse(message);
+            } catch(e) {
+                output.destroy(e);
+                return;
+            }
+            if (results === null || results === undefined)
+                return;
+            if (!Array.isArray(results))
+                results = [results];
+
+            const now = Date.now();
+            for (let item of results) {
+                item.__timestamp = now;
+                output.push(item);
+            }
+        };
+
+        const output = new stream.Readable({
+            objectMode: true,
+            read() {},
+            destroy: (error, callback) => {
+                this.removeListener('message', onMessage);
+                this.close().then(() => callback(error), (e) => callback(error || e));
+            }
+        });
+        this.on('message', onMessage);
+        this.open().catch((e) => output.destroy(e));
+        return output;
+    }
+}
+module.exports = WebSocketClient;
@@ -212,7 +212,7 @@ class HttpClient extends ClientBase {
         var to = this._url + '/devices/package/' + id;
         if (this.developerKey)
             to += '?developer_key=' + this.developerKey;
-        return Helpers.Http.get(to, { followRedirects: false }).then((res) => {
+        return Helpers.Http.get(to, { followRedirects: false, platform: this.platform }).then((res) => {
             throw new Error(`Expected a redirect downloading device ${id}`);
         }, (err) => {
             if (err.code >= 400)
@@ -228,7 +228,7 @@ class HttpClient extends ClientBase {
         if (this.developerKey)
             params.developer_key = this.developerKey;
         to += '?' + qs.stringify(params);
-        const response = await Helpers.Http.request(this._url + to, options.method || 'GET', '', { accept });
+        const response = await Helpers.Http.request(this._url + to, options.method || 'GET', '', { accept, platform: this.platform });
         if (accept === 'application/json') {
             const parsed = JSON.parse(response);
             if (parsed.result !== 'ok')
@@ -280,8 +280,9 @@ class HttpClient extends ClientBase {
         };
         if (this.developerKey)
             params.developer_key = this.developerKey;
-        const stream = await Helpers.Http.getStream(this._url + '/snapshot/-1?' + qs.stringify(params), '', {
-            accept: 'application/x-thingtalk'
+        const stream = await Helpers.Http.getStream(this._url + '/snapshot/-1?' + qs.stringify(params), {
+            accept: 'application/x-thingtalk',
+            platform: this.platform
         });
         const cachePath = path.resolve(this.platform.getCacheDir(), 'snapshot.tt');
 
@@ -333,7 +334,10 @@ class HttpClient extends ClientBase {
         };
         if (this.developerKey)
             params.developer_key = this.developerKey;
-        const response = await Helpers.Http.post(to + '?' + qs.stringify(params), JSON.stringify(publicData), { dataContentType: 'application/json' });
+        const response = await Helpers.Http.post(to + '?' + qs.stringify(params), JSON.stringify(publicData), {
+            dataContentType: 'application/json',
+            platform: this.platform
+        });
         const parsed = JSON.parse(response);
         if (parsed.result !== 'ok')
             throw new Error(`Operation failed: ${parsed.error || parsed.result}`);
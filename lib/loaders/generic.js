@@ -24,6 +24,18 @@ const Helpers = require('../helpers');
 const Base = require('./base_generic');
 const { ImplementationError } = require('../errors');
 
+// collect the results of an async iterator, such as the one returned by Http.paginate()
+async function collect(iterable) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const results = [];
+    for (;;) {
+        const { done, value } = await iterator.next();
+        if (done)
+            return results;
+        results.push(value);
+    }
+}
+
 module.exports = class GenericRestModule extends Base {
     _loadModule() {
         super._loadModule();
@@ -31,6 +43,7 @@ module.exports = class GenericRestModule extends Base {
         for (let action in this._manifest.actions) {
             const fndef = this._manifest.actions[action];
             const baseurl = fndef.annotations.url.toJS();
+            const rateLimit = Utils.getRateLimit(this._manifest, fndef);
             let method = 'POST';
             if (fndef.annotations.method)
                 method = fndef.annotations.method.toJS();
@@ -40,31 +53,57 @@ module.exports = class GenericRestModule extends Base {
                 return Helpers.Http.request(url, method, JSON.stringify(params),
                                     { auth: this.auth,
                                       useOAuth2: this,
+                                      platform: this.platform,
+                                      rateLimit,
                                       dataContentType: 'application/json' });
             };
         }
 
+        const httpCache = Utils.getHttpCache(this._manifest);
         for (let query in this._manifest.queries) {
             const fndef = this._manifest.queries[query];
             const pollInterval = Utils.getPollInterval(fndef);
             const baseurl = fndef.annotations.url.toJS();
+            const rateLimit = Utils.getRateLimit(this._manifest, fndef);
             let method = 'GET';
             if (fndef.annotations.method)
                 method = fndef.annotations.method.toJS();
+            const pagination = Utils.getPagination(fndef);
+            if (pagination !== null && method !== 'GET')
+                throw new ImplementationError(`Pagination is only supported for GET queries, in ${query}`);
 
             this._loaded.prototype['get_' + query] = function(params, hints, env) {
-                // ignore count and filter
+                // ignore filter
 
                 const url = Utils.formatString(baseurl, this.state, params);
+                const options = {
+                    auth: this.auth,
+                    useOAuth2: this,
+                    platform: this.platform,
+                    rateLimit,
+                    cache: Utils.getCacheStore(httpCache, this.platform),
+                    accept: 'application/json'
+                };
+
+                // retrieve pages until we have as many results as the caller asks for
+                if (pagination !== null) {
+                    const paginateOptions = Object.assign({}, pagination, options);
+                    // older versions of ThingTalk pass the number of results instead of the hints
+                    if (typeof hints === 'number')
+                        paginateOptions.limit = hints;
+                    else
+                        paginateOptions.hints = hints;
+                    return collect(Helpers.Http.paginate(url, paginateOptions)).then((results) => {
+                        return Utils.parseGenericResults(results, fndef);
+                    });
+                }
+
                 let data = null;
                 if (method !== "GET")
                     data = JSON.stringify(params);
 
-                return Helpers.Http.request(url, method, data, {
-                    dataContentType: (method === 'GET' ? null : 'application/json'),
-                    auth: this.auth,
-                    useOAuth2: this,
-                    accept: 'application/json' }).then((response) => {
+                options.dataContentType = (method === 'GET' ? null : 'application/json');
+                return Helpers.Http.request(url, method, data, options).then((response) => {
                     let parsed = JSON.parse(response);
                     return Utils.parseGenericResponse(parsed, fndef);
                 });
@@ -28,16 +28,19 @@ module.exports = class RSSModule extends Base {
     _loadModule() {
         super._loadModule();
 
+        const httpCache = Utils.getHttpCache(this._manifest);
         for (let query in this._manifest.queries) {
             const fndef = this._manifest.queries[query];
             let pollInterval = Utils.getPollInterval(fndef);
             const baseurl = fndef.annotations.url.toJS();
+            const rateLimit = Utils.getRateLimit(this._manifest, fndef);
 
             this._loaded.prototype['get_' + query] = function(params, count, filter) {
                 // ignore count and filter
 
                 let url = Utils.formatString(baseurl, this.state, params);
-                return Helpers.Rss.get(url, { auth: this.auth, useOAuth2: this });
+                const cache = Utils.getCacheStore(httpCache, this.platform);
+                return Helpers.Rss.get(url, { auth: this.auth, useOAuth2: this, platform: this.platform, rateLimit, cache });
             };
 
             if (pollInterval === 0)
@@ -22,6 +22,12 @@
 const interpolate = require('string-interp');
 const ThingTalk = require('thingtalk');
 
+const { ImplementationError } = require('./errors');
+const HttpCache = require('./helpers/http_cache');
+
+// the pagination styles supported by Helpers.Http.paginate
+const PAGINATION_STYLES = ['link', 'cursor', 'page', 'offset'];
+
 /**
   Split a textual chain of properties separated with . into an array of property names.
 
@@ -111,6 +117,21 @@ function cast(value, type) {
     return value;
 }
 
+function extractGenericResult(result, fndef) {
+    let extracted = {};
+
+    for (let argname of fndef.args) {
+        const arg = fndef.getArgument(argname);
+        if (arg.is_input)
+            continue;
+        if (arg.annotations.json_key)
+            extracted[arg.name] = cast(get(result, arg.annotations.json_key.toJS()), arg.type);
+        else
+            extracted[arg.name] = cast(result[arg.name], arg.type);
+    }
+    return extracted;
+}
+
 function getMixinArgs(mixin) {
     const args = {};
     for (let in_param of mixin.in_params)
@@ -126,36 +147,42 @@ function findMixinArg(mixin, arg) {
     return undefined;
 }
 
+// encryption ;)
+function rot13(x) {
+    return Array.prototype.map.call(x, (ch) => {
+        var code = ch.charCodeAt(0);
+        if (code >= 0x41 && code <= 0x5a)
+            code = (((code - 0x41) + 13) % 26) + 0x41;
+        else if (code >= 0x61 && code <= 0x7a)
+            code = (((code - 0x61) + 13) % 26) + 0x61;
+
+        return String.fromCharCode(code);
+    }).join('');
+}
+
 module.exports = {
     // for testing
     splitpropchain,
 
     getMixinArgs,
     findMixinArg,
+    rot13,
+    PAGINATION_STYLES,
 
     parseGenericResponse(json, fndef) {
-        function extractOne(result) {
-            let extracted = {};
-
-            for (let argname of fndef.args) {
-                const arg = fndef.getArgument(argname);
-                if (arg.is_input)
-                    continue;
-                if (arg.annotations.json_key)
-                    extracted[arg.name] = cast(get(result, arg.annotations.json_key.toJS()), arg.type);
-                else
-                    extracted[arg.name] = cast(result[arg.name], arg.type);
-            }
-            return extracted;
-        }
-
         if (fndef.annotations.json_key)
             json = get(json, fndef.annotations.json_key.toJS());
 
         if (Array.isArray(json))
-            return json.map(extractOne);
+            return json.map((result) => extractGenericResult(result, fndef));
         else
-            return [extractOne(json)];
+            return [extractGenericResult(json, fndef)];
+    },
+
+    // like parseGenericResponse, for the results of a paginated query, which
+    // were already extracted from each page
+    parseGenericResults(results, fndef) {
+        return results.map((result) => extractGenericResult(result, fndef));
     },
 
     formatString(url, deviceParams, functionParams) {
@@ -175,4 +202,76 @@ module.exports = {
         else
             return -1;
     },
+
+    // convert a #[http_cache] annotation on the class to the cache option of Helpers.Http:
+    // responses are kept in memory by default, and on disk only if the device asks for it
+    getHttpCache(classdef) {
+        const annotation = classdef.annotations.http_cache;
+        if (!annotation)
+            return 'memory';
+        const value = annotation.toJS();
+        if (value !== 'memory' && value !== 'disk' && value !== 'none')
+            throw new ImplementationError(`Invalid http_cache annotation for ${classdef.kind}, must be "memory", "disk" or "none"`);
+        return value;
+    },
+
+    // the cache option of Helpers.Http for a device with the given #[http_cache] annotation
+    getCacheStore(httpCache, platform) {
+        if (httpCache === 'none')
+            return false;
+        if (httpCache === 'disk' && platform)
+            return HttpCache.getPlatformStore(platform);
+        return true;
+    },
+
+    // convert a #[rate_limit] annotation on the function or the class
+    // to the rateLimit option of Helpers.Http
+    getRateLimit(classdef, fndef) {
+        const annotation = fndef.annotations.rate_limit || classdef.annotations.rate_limit;
+        if (!annotation)
+            return null;
+        const value = annotation.toJS();
+        if (typeof value !== 'object' || !(value.requests > 0))
+            throw new ImplementationError(`Invalid rate_limit annotation for ${fndef.name}, the number of requests must be positive`);
+
+        let key;
+        if (value.key)
+            key = 'key:' + value.key;
+        else if (value.scope === 'kind')
+            key = 'kind:' + classdef.kind;
+        else if (value.scope && value.scope !== 'host')
+            throw new ImplementationError(`Invalid rate_limit annotation for ${fndef.name}, scope must be "host" or "kind"`);
+
+        return {
+            key,
+            requests: value.requests,
+            interval: value.interval,
+            burst: value.burst,
+            maxWait: value.max_wait
+        };
+    },
+
+    // convert a #[pagination] annotation on the function to the options
+    // of Helpers.Http.paginate
+    //
+    // the results of each page are found at the json_key of the function
+    getPagination(fndef) {
+        const annotation = fndef.annotations.pagination;
+        if (!annotation)
+            return null;
+        const value = annotation.toJS();
+        if (typeof value !== 'object' || (value.style !== undefined && PAGINATION_STYLES.indexOf(value.style) < 0))
+            throw new ImplementationError(`Invalid pagination annotation for ${fndef.name}, style must be "link", "cursor", "page" or "offset"`);
+
+        return {
+            pagination: value.style || 'link',
+            items: fndef.annotations.json_key ? fndef.annotations.json_key.toJS() : undefined,
+            nextCursor: value.next_cursor,
+            cursorParam: value.cursor_param,
+            pageParam: value.page_param,
+            firstPage: value.first_page,
+            pageSize: value.page_size,
+            pageSizeParam: value.page_size_param
+        };
+    },
 };
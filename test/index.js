@@ -41,9 +41,19 @@ seq([
     ('./test_object_set'),
     ('./test_prefs'),
     ('./test_http'),
+    ('./test_http_cache'),
+    ('./test_http_fixtures'),
+    ('./test_oauth1'),
+    ('./test_oauth2'),
+    ('./test_openid_connect'),
+    ('./test_form'),
+    ('./test_graphql'),
     ('./test_rss'),
     ('./test_polling'),
+    ('./test_event_source'),
+    ('./test_websocket'),
     ('./test_refcounted'),
+    ('./test_rate_limit'),
     ('./test_content'),
     ('./test_factory_api'),
     ('./test_http_client'),
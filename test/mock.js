@@ -149,6 +149,7 @@ class MockPlatform extends BasePlatform {
         }
 
         this._prefs = new MockPreferences();
+        this._httpMiddleware = [];
     }
 
     get type() {
@@ -175,6 +176,7 @@ class MockPlatform extends BasePlatform {
         case 'code-download':
         case 'thingpedia-client':
         case 'gettext':
+        case 'http-middleware':
             return true;
         default:
             return false;
@@ -188,6 +190,8 @@ class MockPlatform extends BasePlatform {
             return this._mockClient;
         case 'gettext':
             return this._gettext;
+        case 'http-middleware':
+            return this._httpMiddleware;
         default:
             return null;
         }
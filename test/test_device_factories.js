@@ -86,6 +86,23 @@ const TEST_CASES = [
         ]
     }],
 
+    [`class @com.example.camera {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.digest_auth();
+    }`, {
+        name: "IP Camera",
+        category: 'physical',
+    }, {
+        type: 'form',
+        text: "IP Camera",
+        kind: 'com.example.camera',
+        category: 'physical',
+        fields: [
+            { name: 'username', label: 'Username', type: 'text' },
+            { name: 'password', label: 'Password', type: 'password' }
+        ]
+    }],
+
     [`class @org.thingpedia.rss {
         import loader from @org.thingpedia.rss();
         import config from @org.thingpedia.config.form(params=makeArgMap(url : Entity(tt:url)));
@@ -129,6 +146,63 @@ const TEST_CASES = [
         category: 'online',
     }],
 
+    [`class @com.flickr {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth1(request_token="https://www.flickr.com/services/oauth/request_token",
+                                                         authorize="https://www.flickr.com/services/oauth/authorize",
+                                                         get_access_token="https://www.flickr.com/services/oauth/access_token");
+    }`, {
+        name: "Flickr Account",
+        category: 'online',
+    }, {
+        type: 'oauth2',
+        text: "Flickr Account",
+        kind: 'com.flickr',
+        category: 'online',
+    }],
+
+    [`class @com.example.dashboard {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2_client_credentials(get_access_token="https://auth.example.com/oauth/token");
+    }`, {
+        name: "Example Dashboard",
+        category: 'online',
+    }, {
+        type: 'none',
+        text: "Example Dashboard",
+        kind: 'com.example.dashboard',
+        category: 'online',
+    }],
+
+    [`class @com.example.weather {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.api_key(api_key="the-key", location=enum(query), name="appid");
+    }`, {
+        name: "Example Weather",
+        category: 'data',
+    }, {
+        type: 'none',
+        text: "Example Weather",
+        kind: 'com.example.weather',
+        category: 'data',
+    }],
+
+    [`class @com.example.translate {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.api_key(location=enum(bearer));
+    }`, {
+        name: "Example Translate",
+        category: 'online',
+    }, {
+        type: 'form',
+        text: "Example Translate",
+        kind: 'com.example.translate',
+        category: 'online',
+        fields: [
+            { name: 'api_key', label: 'API Key', type: 'password' }
+        ]
+    }],
+
     [`class @com.lg.tv.webos2 {
         import loader from @org.thingpedia.v2();
         import config from @org.thingpedia.config.discovery.upnp(search_target=['urn:lge:com:service:webos:second-screen-1']);
@@ -0,0 +1,180 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const assert = require('assert');
+const http = require('http');
+
+const Helpers = require('../lib/helpers');
+const { HttpError } = require('../lib/errors');
+
+class State {
+    constructor() {
+        this._state = {};
+    }
+    get(key) {
+        return this._state[key];
+    }
+    set(key, value) {
+        return this._state[key] = value;
+    }
+}
+
+function startServer(handler) {
+    const server = http.createServer(handler);
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function collect(stream, count) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        stream.on('data', (event) => {
+            events.push(event);
+            if (events.length === count)
+                resolve(events);
+        });
+        stream.on('end', () => resolve(events));
+        stream.on('error', reject);
+    });
+}
+
+async function testParseAndReconnect() {
+    const requests = [];
+    const server = await startServer((req, res) => {
+        requests.push(req.headers);
+        res.writeHead(200, { 'Content-Type': 'text/event-stream; charset=utf-8' });
+        if (requests.length === 1) {
+            // split frames across writes, mixing line endings
+            res.write('\uFEFF: a comment\r\nretry: 50\r\n');
+            res.write('data: {"v":1}\r');
+            setTimeout(() => {
+                res.write('\nid: 1\n\n');
+                res.write('event: update\ndata: {"v":\ndata: 2}\nid: 2\n\n');
+                res.write('data\n\n');
+                res.end('data: {"v":"incomplete"}\n');
+            }, 10);
+        } else {
+            res.end('data:{"v":3}\n\n');
+        }
+    });
+    const url = `http://127.0.0.1:${server.address().port}/events`;
+
+    const state = new State();
+    const seen = [];
+    const stream = new Helpers.EventSource(url, {
+        state,
+        http: { extraHeaders: { 'X-Test': 'yes' } },
+        parse(event) {
+            seen.push(event);
+            return event.data ? JSON.parse(event.data) : null;
+        }
+    });
+    try {
+        const events = await collect(stream, 3);
+        assert.deepStrictEqual(events.map((e) => e.v), [1, 2, 3]);
+        assert(events.every((e) => typeof e.__timestamp === 'number'));
+        assert.deepStrictEqual(seen, [
+            { type: 'message', data: '{"v":1}', lastEventId: '1' },
+            { type: 'update', data: '{"v":\n2}', lastEventId: '2' },
+            { type: 'message', data: '', lastEventId: '2' },
+            { type: 'message', data: '{"v":3}', lastEventId: '2' },
+        ]);
+
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(requests[0].accept, 'text/event-stream');
+        assert.strictEqual(requests[0]['x-test'], 'yes');
+        assert.strictEqual(requests[0]['last-event-id'], undefined);
+        assert.strictEqual(requests[1]['last-event-id'], '2');
+        assert.strictEqual(stream.lastEventId, '2');
+        assert.strictEqual(state.get('last-event-id'), '2');
+    } finally {
+        stream.destroy();
+        await new Promise((resolve) => server.close(resolve));
+    }
+
+    // a new stream resumes from the saved event ID
+    let lastEventId;
+    const server2 = await startServer((req, res) => {
+        lastEventId = req.headers['last-event-id'];
+        res.writeHead(204);
+        res.end();
+    });
+    try {
+        const stream2 = new Helpers.EventSource(`http://127.0.0.1:${server2.address().port}/events`, { state });
+        // 204 No Content means the server does not want the client to reconnect
+        const events = await collect(stream2, 1);
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(lastEventId, '2');
+    } finally {
+        await new Promise((resolve) => server2.close(resolve));
+    }
+}
+
+async function testErrors() {
+    let count = 0;
+    const server = await startServer((req, res) => {
+        count++;
+        if (req.url === '/missing') {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('not found');
+        } else if (req.url === '/flaky' && count < 3) {
+            res.writeHead(503, { 'Content-Type': 'text/plain' });
+            res.end('try again');
+        } else if (req.url === '/flaky') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end('data: {"v":"ok"}\n\n');
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end('{}');
+        }
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        await assert.rejects(collect(new Helpers.EventSource(base + '/missing', { retry: 10 }), 1), (err) => {
+            assert(err instanceof HttpError);
+            assert.strictEqual(err.status, 404);
+            return true;
+        });
+
+        await assert.rejects(collect(new Helpers.EventSource(base + '/json', { retry: 10 }), 1),
+            /Unexpected content type application\/json/);
+
+        // retryable errors reconnect, with backoff
+        count = 0;
+        const stream = new Helpers.EventSource(base + '/flaky', { retry: 10 });
+        const events = await collect(stream, 1);
+        stream.destroy();
+        assert.strictEqual(events[0].v, 'ok');
+        assert.strictEqual(count, 3);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+async function main() {
+    await testParseAndReconnect();
+    await testErrors();
+}
+module.exports = main;
+if (!module.parent)
+    main();
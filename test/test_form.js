@@ -0,0 +1,126 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const assert = require('assert');
+const stream = require('stream');
+const http = require('http');
+
+const Helpers = require('../lib/helpers');
+
+function readAll(stream) {
+    return new Promise((resolve, reject) => {
+        const buffers = [];
+        stream.on('data', (buffer) => buffers.push(Buffer.from(buffer)));
+        stream.on('end', () => resolve(Buffer.concat(buffers)));
+        stream.on('error', reject);
+    });
+}
+
+function testUrlEncoded() {
+    const body = Helpers.Form.urlencoded({ foo: 'bar baz', list: ['1', '2'], n: 42 });
+    assert(Buffer.isBuffer(body));
+    assert.strictEqual(body.toString(), 'foo=bar%20baz&list=1&list=2&n=42');
+    assert.strictEqual(body.contentType, 'application/x-www-form-urlencoded');
+}
+
+async function testMultipart() {
+    const file = new stream.PassThrough();
+    file.contentType = 'image/png';
+
+    const form = new Helpers.Form.Multipart();
+    form.append('text', 'hello "world"')
+        .append('number', 42)
+        .append('data', Buffer.from('binary'), { filename: 'data.bin' })
+        .append('file', file, { filename: 'image.png' });
+    assert(form.contentType.startsWith('multipart/form-data; boundary='));
+    assert.strictEqual(form.contentType.substring('multipart/form-data; boundary='.length), form.boundary);
+
+    const promise = readAll(form);
+    file.write('first chunk,');
+    setTimeout(() => file.end('second chunk'), 10);
+    const body = (await promise).toString();
+
+    // adding fields after the upload started is an error
+    assert.throws(() => form.append('late', 'value'));
+
+    const b = form.boundary;
+    assert.strictEqual(body,
+        `--${b}\r\nContent-Disposition: form-data; name="text"\r\n\r\nhello "world"\r\n` +
+        `--${b}\r\nContent-Disposition: form-data; name="number"\r\n\r\n42\r\n` +
+        `--${b}\r\nContent-Disposition: form-data; name="data"; filename="data.bin"\r\nContent-Type: application/octet-stream\r\n\r\nbinary\r\n` +
+        `--${b}\r\nContent-Disposition: form-data; name="file"; filename="image.png"\r\nContent-Type: image/png\r\n\r\nfirst chunk,second chunk\r\n` +
+        `--${b}--\r\n`);
+}
+
+async function testMultipartEscape() {
+    const form = new Helpers.Form.Multipart();
+    form.append('a"b', Buffer.from(''), { filename: 'line\nbreak' });
+    const body = (await readAll(form)).toString();
+    assert(body.indexOf('name="a%22b"; filename="line%0Abreak"') >= 0);
+}
+
+async function testUpload() {
+    let received = null;
+    const server = http.createServer((req, res) => {
+        readAll(req).then((body) => {
+            received = { contentType: req.headers['content-type'], body: body.toString() };
+            res.end('ok');
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = 'http://127.0.0.1:' + server.address().port + '/upload';
+
+    try {
+        const form = new Helpers.Form.Multipart();
+        form.append('caption', 'a photo');
+        form.append('photo', Buffer.alloc(100000, 'x'), { contentType: 'image/jpeg' });
+        assert.strictEqual(await Helpers.Http.postStream(url, form), 'ok');
+        assert.strictEqual(received.contentType, form.contentType);
+        assert(received.body.indexOf('a photo') >= 0);
+        assert(received.body.indexOf('x'.repeat(100000)) >= 0);
+
+        // forms can also be passed to post()
+        const form2 = new Helpers.Form.Multipart();
+        form2.append('caption', 'another photo');
+        assert.strictEqual(await Helpers.Http.post(url, form2), 'ok');
+        assert(received.body.indexOf('another photo') >= 0);
+
+        assert.strictEqual(await Helpers.Http.post(url, Helpers.Form.urlencoded({ foo: 'bar' })), 'ok');
+        assert.strictEqual(received.contentType, 'application/x-www-form-urlencoded');
+        assert.strictEqual(received.body, 'foo=bar');
+
+        // an explicit content type takes precedence
+        await Helpers.Http.post(url, Helpers.Form.urlencoded({ foo: 'bar' }), { dataContentType: 'text/plain' });
+        assert.strictEqual(received.contentType, 'text/plain');
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+async function main() {
+    testUrlEncoded();
+    await testMultipart();
+    await testMultipartEscape();
+    await testUpload();
+}
+module.exports = main;
+if (!module.parent)
+    main();
@@ -21,6 +21,7 @@
 "use strict";
 
 const assert = require('assert');
+const path = require('path');
 const qs = require('qs');
 const tough = require('tough-cookie');
 const ThingTalk = require('thingtalk');
@@ -33,6 +34,33 @@ const BaseDevice = require('../lib/base_device');
 const Modules = require('../lib/loaders');
 const ModuleDownloader = require('../lib/downloader');
 
+// requests to httpbin and almond-dev are replayed from fixture files; set RECORD_FIXTURES=1
+// to send them to the real services and update the fixtures
+const FIXTURE_MODE = process.env.RECORD_FIXTURES ? 'record' : 'replay';
+
+async function withFixtures(name, fn) {
+    const fixtures = new Helpers.HttpFixtures(path.resolve(path.dirname(module.filename), `./data/http-fixtures/${name}.json`),
+                                              { mode: FIXTURE_MODE });
+    await fixtures.install();
+    try {
+        await fn();
+    } finally {
+        await fixtures.uninstall();
+    }
+}
+
+// httpbin echoes the user agent, which depends on the node version used for recording
+function checkUserAgent(result) {
+    result = Object.assign({}, result);
+    assert(result.user_agent instanceof ThingTalk.Builtin.Entity);
+    if (FIXTURE_MODE === 'record')
+        assert.strictEqual(result.user_agent.value, 'Thingpedia/1.0.0 nodejs/' + process.version);
+    else
+        assert(/^Thingpedia\/1\.0\.0 nodejs\/v[0-9]+\.[0-9]+\.[0-9]+$/.test(result.user_agent.value));
+    delete result.user_agent;
+    return result;
+}
+
 async function testPoll(instance, fn) {
     await new Promise((resolve, reject) => {
         let finished = false;
@@ -50,9 +78,8 @@ async function testPoll(instance, fn) {
                 if (finished)
                     assert.fail('too many results');
                 delete data.__timestamp;
-                assert.deepStrictEqual(data, {
-                    url: new ThingTalk.Builtin.Entity('https://httpbin.org/get', null),
-                    user_agent: new ThingTalk.Builtin.Entity("Thingpedia/1.0.0 nodejs/" + process.version, null)
+                assert.deepStrictEqual(checkUserAgent(data), {
+                    url: new ThingTalk.Builtin.Entity('https://httpbin.org/get', null)
                 });
                 count++;
                 if (count === 2) {
@@ -83,15 +110,13 @@ async function testBasic() {
     assert.strictEqual(typeof factory.prototype.subscribe_get, 'function');
 
     const instance = new factory(mockEngine, {});
-    assert.deepStrictEqual(await instance.get_get({}), [{
+    assert.deepStrictEqual((await instance.get_get({})).map(checkUserAgent), [{
         url: new ThingTalk.Builtin.Entity('https://httpbin.org/get', null),
-        user_agent: new ThingTalk.Builtin.Entity("Thingpedia/1.0.0 nodejs/" + process.version, null),
     }]);
     await testPoll(instance, 'get');
 
-    assert.deepStrictEqual(await instance.get_get_nomonitor({}), [{
+    assert.deepStrictEqual((await instance.get_get_nomonitor({})).map(checkUserAgent), [{
         url: new ThingTalk.Builtin.Entity('https://httpbin.org/get', null),
-        user_agent: new ThingTalk.Builtin.Entity("Thingpedia/1.0.0 nodejs/" + process.version, null),
     }]);
     assert.strictEqual(typeof factory.prototype.subscribe_get_nomonitor, 'function');
     assert.throws(() => instance.subscribe_get_nomonitor({}, new State));
@@ -217,6 +242,8 @@ function delay(ms) {
     });
 }
 
+const ALMOND_OAUTH_STATE = '0123456789abcdef0123456789abcdef';
+
 async function testAlmondOAuth() {
     const metadata = toClassDef(await mockClient.getDeviceCode('edu.stanford.almond-dev'));
 
@@ -240,8 +267,14 @@ async function testAlmondOAuth() {
     console.log('start run oauth');
     const [redirectToAlmond, oauthSession] = await factory.loadFromCustomOAuth(mockEngine);
 
-    assert.strictEqual(typeof oauthSession['oauth2-state-edu.stanford.almond-dev'], 'string');
-    assert.strictEqual(redirectToAlmond, `https://almond-dev.stanford.edu/me/api/oauth2/authorize?response_type=code&redirect_uri=http%3A%2F%2F127.0.0.1%3A3000%2Fdevices%2Foauth2%2Fcallback%2Fedu.stanford.almond-dev&state=${oauthSession['oauth2-state-edu.stanford.almond-dev']}&scope=profile&client_id=5524304f0ce9cb5c`);
+    const state = oauthSession['oauth2-state-edu.stanford.almond-dev'];
+    assert.strictEqual(typeof state, 'string');
+    assert.strictEqual(redirectToAlmond, `https://almond-dev.stanford.edu/me/api/oauth2/authorize?response_type=code&redirect_uri=http%3A%2F%2F127.0.0.1%3A3000%2Fdevices%2Foauth2%2Fcallback%2Fedu.stanford.almond-dev&state=${state}&scope=profile&client_id=5524304f0ce9cb5c`);
+
+    // the state is random, so we replace it with a fixed value, or the requests
+    // to almond-dev would not match the recorded fixtures
+    oauthSession['oauth2-state-edu.stanford.almond-dev'] = ALMOND_OAUTH_STATE;
+    const authorizeUrl = redirectToAlmond.replace(`state=${state}`, `state=${ALMOND_OAUTH_STATE}`);
 
     console.log('login + authorize');
     // login to almond-dev
@@ -253,7 +286,7 @@ async function testAlmondOAuth() {
 
     // get almond-dev to issue an access token...
     // note the client ID we use has special test ability skips authorization
-    const redirectToUs = await assertRedirect(browserRequest(redirectToAlmond, 'GET', '', browserSession, {
+    const redirectToUs = await assertRedirect(browserRequest(authorizeUrl, 'GET', '', browserSession, {
         followRedirects: false
     }));
 
@@ -342,13 +375,189 @@ async function testForm() {
     assert.deepStrictEqual(instance.params, ['bar']);
 }
 
+async function testApiKey() {
+    const metadata = toClassDef(`class @com.example.apikey
+    #[version=1] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.api_key(api_key="the-key", name="Ocp-Apim-Subscription-Key");
+
+        query get(out authenticated: Boolean)
+        #[url="https://api.example.com/get"];
+    }`);
+
+    const downloader = new ModuleDownloader(mockPlatform, mockClient, mockEngine.schemas);
+    const module = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.apikey', metadata, downloader);
+    const factory = await module.getDeviceClass();
+    assert.deepStrictEqual(factory.metadata.params, {});
+
+    // the key from the manifest is added to the requests
+    const middleware = async (request, next) => {
+        if (!request.url.startsWith('https://api.example.com/'))
+            return next();
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ authenticated: request.headers['Ocp-Apim-Subscription-Key'] === 'the-key' }));
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        const instance = new factory(mockEngine, { kind: 'com.example.apikey' });
+        assert.strictEqual(instance.uniqueId, 'com.example.apikey');
+        assert.deepStrictEqual(await instance.get_get({}), [{ authenticated: true }]);
+    } finally {
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+
+    // if the key is not in the manifest, it is a parameter entered by the user
+    const userKeyModule = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.apikey.user', toClassDef(`class @com.example.apikey.user
+    #[version=1] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.api_key(location=enum(bearer));
+
+        query get(out authenticated: Boolean)
+        #[url="https://api.example.com/get"];
+    }`), downloader);
+    const userKeyFactory = await userKeyModule.getDeviceClass();
+    assert.deepStrictEqual(userKeyFactory.metadata.params, { api_key: null });
+}
+
+async function testPersistentCache() {
+    const metadata = toClassDef(`class @com.example.cached
+    #[version=1]
+    #[http_cache="disk"] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+
+        query get(in req run: String, out value: Number)
+        #[url="https://cached.example.com/get?run=\${run}"];
+    }`);
+
+    const downloader = new ModuleDownloader(mockPlatform, mockClient, mockEngine.schemas);
+    const module = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.cached', metadata, downloader);
+    const factory = await module.getDeviceClass();
+
+    let count = 0;
+    const middleware = async (request, next) => {
+        if (!request.url.startsWith('https://cached.example.com/'))
+            return next();
+        count++;
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' },
+            JSON.stringify({ value: 42 }));
+    };
+
+    // with #[http_cache="disk"], responses are stored in the on-disk cache of the platform
+    const store = Helpers.HttpCache.getPlatformStore(mockPlatform);
+    const stored = [];
+    store.set = function(key, entry) {
+        stored.push(key);
+        return Helpers.HttpCache.FileStore.prototype.set.call(this, key, entry);
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        const instance = new factory(mockEngine, { kind: 'com.example.cached' });
+        const run = String(Date.now());
+        assert.deepStrictEqual(await instance.get_get({ run }), [{ value: 42 }]);
+        assert.deepStrictEqual(await instance.get_get({ run }), [{ value: 42 }]);
+        assert.strictEqual(count, 1);
+        assert.strictEqual(stored.length, 1);
+
+        // without the annotation, responses are only cached in memory
+        const memoryModule = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.cached', toClassDef(`class @com.example.cached
+        #[version=1] {
+            import loader from @org.thingpedia.generic_rest.v1();
+            import config from @org.thingpedia.config.none();
+
+            query get(in req run: String, out value: Number)
+            #[url="https://cached.example.com/get?run=\${run}"];
+        }`), downloader);
+        const memoryInstance = new (await memoryModule.getDeviceClass())(mockEngine, { kind: 'com.example.cached' });
+        assert.deepStrictEqual(await memoryInstance.get_get({ run: run + '-memory' }), [{ value: 42 }]);
+        assert.deepStrictEqual(await memoryInstance.get_get({ run: run + '-memory' }), [{ value: 42 }]);
+        assert.strictEqual(count, 2);
+        assert.strictEqual(stored.length, 1);
+    } finally {
+        delete store.set;
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+}
+
+async function testPagination() {
+    const metadata = toClassDef(`class @com.example.paginated
+    #[version=1] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+
+        list query items(out id: Number)
+        #[url="https://paginated.example.com/items"]
+        #[json_key="data"]
+        #[pagination={style="cursor", next_cursor="next", cursor_param="after"}];
+    }`);
+
+    const downloader = new ModuleDownloader(mockPlatform, mockClient, mockEngine.schemas);
+    const module = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.paginated', metadata, downloader);
+    const factory = await module.getDeviceClass();
+
+    // three pages of two items each
+    const requests = [];
+    const middleware = async (request, next) => {
+        if (!request.url.startsWith('https://paginated.example.com/'))
+            return next();
+        requests.push(request.url);
+        const match = /after=([0-9]+)/.exec(request.url);
+        const page = match ? parseInt(match[1]) : 0;
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' }, JSON.stringify({
+            data: [{ id: 2*page }, { id: 2*page+1 }],
+            next: page < 2 ? String(page+1) : null
+        }));
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        const instance = new factory(mockEngine, { kind: 'com.example.paginated' });
+        assert.deepStrictEqual(await instance.get_items({}), [0, 1, 2, 3, 4, 5].map((id) => ({ id })));
+        assert.deepStrictEqual(requests, [
+            'https://paginated.example.com/items',
+            'https://paginated.example.com/items?after=1',
+            'https://paginated.example.com/items?after=2',
+        ]);
+
+        // no more pages are retrieved than necessary for the limit in the hints
+        requests.length = 0;
+        assert.deepStrictEqual(await instance.get_items({}, { limit: 3 }), [0, 1, 2].map((id) => ({ id })));
+        assert.strictEqual(requests.length, 2);
+
+        // or for the count passed by older versions of ThingTalk
+        requests.length = 0;
+        assert.deepStrictEqual(await instance.get_items({}, 1), [{ id: 0 }]);
+        assert.strictEqual(requests.length, 1);
+    } finally {
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+
+    // only GET queries can be paginated
+    const broken = toClassDef(`class @com.example.paginated.broken
+    #[version=1] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+
+        list query items(out id: Number)
+        #[url="https://paginated.example.com/items"]
+        #[method="POST"]
+        #[pagination={style="link"}];
+    }`);
+    const brokenModule = new (Modules['org.thingpedia.generic_rest.v1'])('com.example.paginated.broken', broken, downloader);
+    await assert.rejects(() => brokenModule.getDeviceClass(), ImplementationError);
+}
+
 async function main() {
-    await testBasic();
-    await testOAuth();
-    await testAlmondOAuth();
-    await testBasicAuth();
+    await withFixtures('generic_rest', async () => {
+        await testBasic();
+        await testOAuth();
+        await testBasicAuth();
+    });
     await testBroken();
     await testForm();
+    await testApiKey();
+    await testPersistentCache();
+    await testPagination();
+    await withFixtures('almond_oauth', testAlmondOAuth);
 }
 
 module.exports = main;
@@ -0,0 +1,147 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+const http = require('http');
+
+const Helpers = require('../lib/helpers');
+const { GraphQLError, HttpError } = require('../lib/errors');
+
+const ISSUES = [];
+for (let i = 0; i < 5; i++)
+    ISSUES.push({ number: i+1, title: 'Issue ' + (i+1) });
+
+function handleRequest(request) {
+    if (/syntax error/.test(request.query))
+        return [400, { errors: [{ message: 'Syntax Error: Unexpected Name "syntax"', extensions: { code: 'GRAPHQL_PARSE_FAILED' } }] }];
+    if (/missing/.test(request.query)) {
+        return [200, {
+            data: { repository: null, viewer: { login: 'bob' } },
+            errors: [
+                { type: 'NOT_FOUND', path: ['repository'], message: 'Could not resolve to a Repository' },
+                { type: 'NOT_FOUND', path: ['repository'], message: 'Could not resolve to a Repository' }
+            ]
+        }];
+    }
+    if (/issues/.test(request.query)) {
+        const start = request.variables.after ? parseInt(request.variables.after) : 0;
+        const page = ISSUES.slice(start, start + request.variables.first);
+        const end = start + page.length;
+        return [200, {
+            data: {
+                repository: {
+                    issues: {
+                        edges: page.map((node) => ({ cursor: String(node.number), node })),
+                        pageInfo: { hasNextPage: end < ISSUES.length, endCursor: String(end) }
+                    }
+                }
+            }
+        }];
+    }
+    return [200, { data: { viewer: { login: 'bob' } } }];
+}
+
+async function main() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            requests.push({ headers: req.headers, request });
+            const [status, response] = handleRequest(request);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(response));
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/graphql`;
+
+    try {
+        const device = { accessToken: 'the-token' };
+        assert.deepStrictEqual(await Helpers.GraphQL.query(url, 'query { viewer { login } }', {}, {
+            useOAuth2: device,
+            operationName: 'Viewer'
+        }), { viewer: { login: 'bob' } });
+        assert.strictEqual(requests[0].headers['authorization'], 'Bearer the-token');
+        assert.strictEqual(requests[0].headers['content-type'], 'application/json');
+        assert.deepStrictEqual(requests[0].request, {
+            query: 'query { viewer { login } }',
+            variables: {},
+            operationName: 'Viewer'
+        });
+
+        // errors are reported even if the server returns partial data
+        await assert.rejects(Helpers.GraphQL.query(url, 'query { missing }'), (err) => {
+            assert(err instanceof GraphQLError);
+            assert.strictEqual(err.message, 'Could not resolve to a Repository (and 1 more errors)');
+            assert.strictEqual(err.code, 'NOT_FOUND');
+            assert.strictEqual(err.errors.length, 2);
+            assert.deepStrictEqual(err.errors[0].path, ['repository']);
+            assert.deepStrictEqual(err.data, { repository: null, viewer: { login: 'bob' } });
+            return true;
+        });
+        // or with an HTTP error status
+        await assert.rejects(Helpers.GraphQL.query(url, 'syntax error'), (err) => {
+            assert(err instanceof GraphQLError);
+            assert(!(err instanceof HttpError));
+            assert.strictEqual(err.code, 'GRAPHQL_PARSE_FAILED');
+            assert.strictEqual(err.data, null);
+            return true;
+        });
+
+        const document = 'query($after: String, $first: Int!) { repository { issues(first: $first, after: $after) { edges { node { number title } } pageInfo { hasNextPage endCursor } } } }';
+        requests.length = 0;
+        const iterator = Helpers.GraphQL.paginate(url, document, { first: 2 }, { connection: 'repository.issues' });
+        const issues = [];
+        for (;;) {
+            const { done, value } = await iterator.next();
+            if (done)
+                break;
+            issues.push(value);
+        }
+        assert.deepStrictEqual(issues, ISSUES);
+        assert.deepStrictEqual(requests.map((r) => r.request.variables), [
+            { first: 2 }, { first: 2, after: '2' }, { first: 2, after: '4' }
+        ]);
+
+        // pagination stops at the limit in the hints
+        requests.length = 0;
+        const iterator2 = Helpers.GraphQL.paginate(url, document, { first: 2 }, {
+            connection: 'repository.issues',
+            hints: { limit: 2 }
+        });
+        assert.deepStrictEqual((await iterator2.next()).value, ISSUES[0]);
+        assert.deepStrictEqual((await iterator2.next()).value, ISSUES[1]);
+        assert((await iterator2.next()).done);
+        assert.strictEqual(requests.length, 1);
+
+        assert.throws(() => Helpers.GraphQL.paginate(url, document, {}), TypeError);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+module.exports = main;
+if (!module.parent)
+    main();
@@ -0,0 +1,138 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HttpCache = require('../lib/helpers/http_cache');
+
+function makeEntry(body) {
+    return {
+        url: 'https://example.com/' + body,
+        status: 200,
+        headers: { 'content-type': 'text/plain' },
+        body: Buffer.from(body),
+        etag: '"' + body + '"',
+        lastModified: 'Wed, 21 Oct 2015 07:28:00 GMT',
+        expires: 0
+    };
+}
+
+async function testMemoryStore() {
+    const store = new HttpCache.MemoryStore(2);
+
+    await store.set('a', makeEntry('a'));
+    await store.set('b', makeEntry('b'));
+    assert.deepStrictEqual(await store.get('a'), makeEntry('a'));
+
+    // b is the least recently used entry, so it gets evicted
+    await store.set('c', makeEntry('c'));
+    assert.strictEqual(await store.get('b'), undefined);
+    assert.deepStrictEqual(await store.get('a'), makeEntry('a'));
+    assert.deepStrictEqual(await store.get('c'), makeEntry('c'));
+
+    await store.delete('a');
+    assert.strictEqual(await store.get('a'), undefined);
+
+    assert.strictEqual(HttpCache.getDefaultStore(), HttpCache.getDefaultStore());
+}
+
+async function testFileStore() {
+    const dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'thingpedia-http-cache-'));
+    try {
+        const store = new HttpCache.FileStore(path.resolve(dir, 'cache'));
+        assert.strictEqual(await store.get('a'), undefined);
+
+        await store.set('a', makeEntry('a'));
+        assert.deepStrictEqual(await store.get('a'), makeEntry('a'));
+
+        // entries persist across instances
+        const store2 = new HttpCache.FileStore(path.resolve(dir, 'cache'));
+        assert.deepStrictEqual(await store2.get('a'), makeEntry('a'));
+
+        await store2.delete('a');
+        await store2.delete('a');
+        assert.strictEqual(await store.get('a'), undefined);
+    } finally {
+        for (let file of fs.readdirSync(path.resolve(dir, 'cache')))
+            fs.unlinkSync(path.resolve(dir, 'cache', file));
+        fs.rmdirSync(path.resolve(dir, 'cache'));
+        fs.rmdirSync(dir);
+    }
+}
+
+async function testFileStoreEviction() {
+    const dir = fs.mkdtempSync(path.resolve(os.tmpdir(), 'thingpedia-http-cache-'));
+    try {
+        const store = new HttpCache.FileStore(path.resolve(dir, 'cache'), { maxEntries: 2 });
+        await store.set('a', makeEntry('a'));
+        await store.set('b', makeEntry('b'));
+        assert.deepStrictEqual(await store.get('a'), makeEntry('a'));
+
+        // b is the least recently used entry, so it gets evicted
+        await store.set('c', makeEntry('c'));
+        assert.strictEqual(await store.get('b'), undefined);
+        assert.deepStrictEqual(fs.readdirSync(path.resolve(dir, 'cache')).sort(), ['a.json', 'c.json']);
+
+        // entries older than the maximum age are deleted when the store is loaded
+        const old = (Date.now() - 2 * 3600 * 1000) / 1000;
+        fs.utimesSync(path.resolve(dir, 'cache', 'a.json'), old, old);
+        const store2 = new HttpCache.FileStore(path.resolve(dir, 'cache'), { maxAge: 3600 * 1000 });
+        assert.strictEqual(await store2.get('a'), undefined);
+        assert.deepStrictEqual(await store2.get('c'), makeEntry('c'));
+        assert.deepStrictEqual(fs.readdirSync(path.resolve(dir, 'cache')), ['c.json']);
+
+        // the oldest entries are evicted when the store is loaded, if there are too many
+        await store2.set('d', makeEntry('d'));
+        fs.utimesSync(path.resolve(dir, 'cache', 'c.json'), old, old);
+        const store3 = new HttpCache.FileStore(path.resolve(dir, 'cache'), { maxEntries: 1 });
+        assert.deepStrictEqual(await store3.get('d'), makeEntry('d'));
+        assert.deepStrictEqual(fs.readdirSync(path.resolve(dir, 'cache')), ['d.json']);
+    } finally {
+        for (let file of fs.readdirSync(path.resolve(dir, 'cache')))
+            fs.unlinkSync(path.resolve(dir, 'cache', file));
+        fs.rmdirSync(path.resolve(dir, 'cache'));
+        fs.rmdirSync(dir);
+    }
+}
+
+function testPlatformStore() {
+    const platform = {
+        getCacheDir() {
+            return '/tmp/platform-cache';
+        }
+    };
+    const store = HttpCache.getPlatformStore(platform);
+    assert(store instanceof HttpCache.FileStore);
+    assert.strictEqual(HttpCache.getPlatformStore(platform), store);
+}
+
+async function main() {
+    await testMemoryStore();
+    await testFileStore();
+    await testFileStoreEviction();
+    testPlatformStore();
+}
+module.exports = main;
+if (!module.parent)
+    main();
@@ -0,0 +1,169 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+
+const Helpers = require('../lib/helpers');
+const { HttpError } = require('../lib/errors');
+
+async function withServer(handler, fn) {
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await fn('http://127.0.0.1:' + server.address().port);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+let counter = 0;
+function handler(req, res) {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => body += chunk);
+    req.on('end', () => {
+        if (req.url === '/counter') {
+            counter++;
+            res.end(String(counter));
+        } else if (req.url === '/binary') {
+            res.setHeader('Content-Type', 'application/octet-stream');
+            res.end(Buffer.from([0xff, 0x00, 0xfe]));
+        } else if (req.url === '/gzip') {
+            // ignore Accept-Encoding and always compress
+            res.setHeader('Content-Encoding', 'gzip');
+            res.end(zlib.gzipSync('compressed'));
+        } else if (req.url === '/missing') {
+            res.writeHead(404);
+            res.end('not found');
+        } else {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ method: req.method, url: req.url, body,
+                accept_encoding: req.headers['accept-encoding'] || null }));
+        }
+    });
+}
+
+async function makeRequests(baseUrl) {
+    const results = [];
+    results.push(JSON.parse(await Helpers.Http.get(baseUrl + '/echo?foo=1')));
+    results.push(JSON.parse(await Helpers.Http.post(baseUrl + '/echo', 'first body')));
+    results.push(JSON.parse(await Helpers.Http.post(baseUrl + '/echo', 'second body')));
+
+    const form = new Helpers.Form.Multipart();
+    form.append('field', 'value');
+    results.push(JSON.parse(await Helpers.Http.postStream(baseUrl + '/echo', form)).method);
+
+    results.push(await Helpers.Http.get(baseUrl + '/counter'));
+    results.push(await Helpers.Http.get(baseUrl + '/counter'));
+
+    const [binary] = await Helpers.Http.get(baseUrl + '/binary', { raw: true });
+    results.push(binary.toString('hex'));
+    results.push(await Helpers.Http.get(baseUrl + '/gzip'));
+
+    await assert.rejects(Helpers.Http.get(baseUrl + '/missing', { debug: false }), (err) => {
+        assert(err instanceof HttpError);
+        assert.strictEqual(err.status, 404);
+        assert.strictEqual(err.body, 'not found');
+        return true;
+    });
+    return results;
+}
+
+async function testRecordReplay() {
+    const filename = path.resolve(os.tmpdir(), 'thingpedia-test-fixtures-' + process.pid + '.json');
+    try {
+        let baseUrl, recorded;
+        await withServer(handler, async (url) => {
+            baseUrl = url;
+            const fixtures = new Helpers.HttpFixtures(filename, { mode: 'record' });
+            await fixtures.install();
+            try {
+                recorded = await makeRequests(baseUrl);
+            } finally {
+                await fixtures.uninstall();
+            }
+            assert.strictEqual(fixtures.interactions.length, 9);
+        });
+
+        assert.strictEqual(recorded[0].accept_encoding, null);
+        assert.strictEqual(recorded[1].body, 'first body');
+        assert.strictEqual(recorded[4], '1');
+        assert.strictEqual(recorded[5], '2');
+        assert.strictEqual(recorded[6], 'ff00fe');
+        assert.strictEqual(recorded[7], 'compressed');
+
+        const data = JSON.parse(fs.readFileSync(filename, { encoding: 'utf8' }));
+        assert.strictEqual(data.interactions.length, 9);
+        assert.deepStrictEqual(data.interactions[1].request, { method: 'POST', url: baseUrl + '/echo', body: 'first body' });
+        assert.strictEqual(data.interactions[6].response.encoding, 'base64');
+        assert(data.interactions[3].request.body.indexOf('{boundary}') >= 0);
+
+        // the server is now gone, every response comes from the fixtures
+        const fixtures = new Helpers.HttpFixtures(filename);
+        await fixtures.install();
+        try {
+            assert.deepStrictEqual(await makeRequests(baseUrl), recorded);
+
+            // once exhausted, the last matching interaction is repeated
+            assert.strictEqual(await Helpers.Http.get(baseUrl + '/counter'), '2');
+
+            await assert.rejects(Helpers.Http.post(baseUrl + '/echo', 'unknown body'), (err) => {
+                assert.strictEqual(err.code, 'ERR_HTTP_FIXTURE_MISMATCH');
+                return true;
+            });
+            await assert.rejects(Helpers.Http.request(baseUrl + '/echo?foo=1', 'DELETE', null), (err) => {
+                assert.strictEqual(err.code, 'ERR_HTTP_FIXTURE_MISMATCH');
+                return true;
+            });
+        } finally {
+            await fixtures.uninstall();
+        }
+    } finally {
+        try {
+            fs.unlinkSync(filename);
+        } catch(e) {
+            // ignore
+        }
+    }
+}
+
+async function testInvalid() {
+    assert.throws(() => new Helpers.HttpFixtures('foo.json', { mode: 'invalid' }), TypeError);
+    await assert.rejects(new Helpers.HttpFixtures(path.resolve(os.tmpdir(), 'does-not-exist.json')).install(), (err) => {
+        assert.strictEqual(err.code, 'ERR_HTTP_FIXTURE_MISSING');
+        return true;
+    });
+}
+
+async function main() {
+    await testRecordReplay();
+    await testInvalid();
+}
+module.exports = main;
+if (!module.parent)
+    main();
@@ -0,0 +1,296 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+const http = require('http');
+const crypto = require('crypto');
+const qs = require('querystring');
+const Url = require('url');
+
+const Helpers = require('../lib/helpers');
+const BaseDevice = require('../lib/base_device');
+const ConfigMixins = require('../lib/config');
+const { OAuthError } = require('../lib/errors');
+const { mockEngine, mockPlatform, toClassDef } = require('./mock');
+
+function encode(str) {
+    return encodeURIComponent(str).replace(/[!'()*]/g, (c) => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// verify an OAuth 1.0a HMAC-SHA1 or HMAC-SHA256 signature (RFC 5849, section 3.4)
+function verifySignature(req, baseUrl, body, consumerSecret, tokenSecret) {
+    const header = req.headers['authorization'] || '';
+    if (!header.startsWith('OAuth '))
+        return null;
+    const oauth = {};
+    for (let part of header.substring('OAuth '.length).split(',')) {
+        const [name, value] = part.trim().split('=');
+        if (value === undefined)
+            return null;
+        oauth[decodeURIComponent(name)] = decodeURIComponent(value.replace(/^"|"$/g, ''));
+    }
+
+    const params = [];
+    for (let name in oauth) {
+        if (name !== 'oauth_signature' && name !== 'realm')
+            params.push([name, oauth[name]]);
+    }
+    const parsed = Url.parse(req.url, true);
+    for (let name in parsed.query)
+        params.push([name, parsed.query[name]]);
+    if (/x-www-form-urlencoded/.test(req.headers['content-type'] || '')) {
+        const form = qs.parse(body);
+        for (let name in form)
+            params.push([name, form[name]]);
+    }
+    const normalized = params.map(([name, value]) => [encode(name), encode(value)])
+        .sort((a, b) => a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1))
+        .map(([name, value]) => name + '=' + value).join('&');
+    const base = [req.method, encode(baseUrl + parsed.pathname), encode(normalized)].join('&');
+    const key = encode(consumerSecret) + '&' + encode(tokenSecret);
+    const digest = oauth.oauth_signature_method === 'HMAC-SHA256' ? 'sha256' : 'sha1';
+    const expected = crypto.createHmac(digest, key).update(base).digest('base64');
+    return expected === oauth.oauth_signature ? oauth : null;
+}
+
+// a minimal OAuth 1.0a provider
+function startProvider() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => {
+            const baseUrl = 'http://127.0.0.1:' + server.address().port;
+            const path = Url.parse(req.url).pathname;
+            const tokenSecret = path === '/request_token' ? '' : (path === '/access_token' ? 'request-secret' : 'access-secret');
+            const oauth = verifySignature(req, baseUrl, body, 'secret', tokenSecret);
+            requests.push({ path, oauth, body });
+            if (oauth === null || oauth.oauth_consumer_key !== 'consumer-key') {
+                res.writeHead(401, { 'Content-Type': 'text/plain' });
+                res.end('Invalid signature');
+                return;
+            }
+
+            switch (path) {
+            case '/request_token':
+                res.end(qs.stringify({ oauth_token: 'request-token', oauth_token_secret: 'request-secret', oauth_callback_confirmed: 'true' }));
+                break;
+            case '/access_token':
+                if (oauth.oauth_token !== 'request-token' || oauth.oauth_verifier !== 'the-verifier') {
+                    res.writeHead(401, { 'Content-Type': 'text/plain' });
+                    res.end('Invalid verifier');
+                    return;
+                }
+                res.end(qs.stringify({ oauth_token: 'access-token', oauth_token_secret: 'access-secret', screen_name: 'bob' }));
+                break;
+            default:
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ id: 42, name: 'Bob', form: qs.parse(body) }));
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: 'http://127.0.0.1:' + server.address().port,
+            requests,
+            close() {
+                return new Promise((resolve) => server.close(resolve));
+            }
+        }));
+    });
+}
+
+async function testFlow(provider) {
+    const classdef = toClassDef(`class @com.example.oauth1 {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth1(client_id="consumer-key",
+            client_secret="frperg",
+            request_token="${provider.url}/request_token",
+            authorize="https://example.com/authorize",
+            get_access_token="${provider.url}/access_token",
+            get_profile="${provider.url}/profile",
+            profile=["id", "name"]);
+    }`);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example.oauth1', auth: { type: 'custom_oauth' }, params: {} };
+    ConfigMixins.get(classdef).install(Device);
+
+    const [redirect, session] = await Device.loadFromCustomOAuth(mockEngine);
+    assert.strictEqual(redirect, 'https://example.com/authorize?oauth_token=request-token');
+    assert.deepStrictEqual(session, {
+        'oauth1-token-com.example.oauth1': 'request-token',
+        'oauth1-token-secret-com.example.oauth1': 'request-secret'
+    });
+    assert.strictEqual(provider.requests[0].oauth.oauth_callback, 'http://127.0.0.1:3000/devices/oauth2/callback/com.example.oauth1');
+
+    // a mismatched token is rejected
+    await assert.rejects(Device.completeCustomOAuth(mockEngine,
+        'http://127.0.0.1:3000/devices/oauth2/callback/com.example.oauth1?oauth_token=other&oauth_verifier=the-verifier',
+        Object.assign({}, session)), OAuthError);
+    // and so is an incorrect verifier
+    await assert.rejects(Device.completeCustomOAuth(mockEngine,
+        'http://127.0.0.1:3000/devices/oauth2/callback/com.example.oauth1?oauth_token=request-token&oauth_verifier=wrong',
+        Object.assign({}, session)), (err) => {
+        assert(err instanceof OAuthError);
+        assert.strictEqual(err.message, 'Invalid verifier');
+        return true;
+    });
+    // the user cancelling is not an error
+    assert.strictEqual(await Device.completeCustomOAuth(mockEngine,
+        'http://127.0.0.1:3000/devices/oauth2/callback/com.example.oauth1?denied=request-token',
+        Object.assign({}, session)), null);
+
+    const device = await Device.completeCustomOAuth(mockEngine,
+        'http://127.0.0.1:3000/devices/oauth2/callback/com.example.oauth1?oauth_token=request-token&oauth_verifier=the-verifier',
+        session);
+    assert(device instanceof Device);
+    assert.deepStrictEqual(device.state, {
+        kind: 'com.example.oauth1',
+        accessToken: 'access-token',
+        accessTokenSecret: 'access-secret',
+        screen_name: 'bob',
+        id: 42,
+        name: 'Bob'
+    });
+    assert.strictEqual(device.accessToken, 'access-token');
+    assert.strictEqual(device.accessTokenSecret, 'access-secret');
+
+    // requests made with the device credentials are signed, including query and form parameters
+    const response = JSON.parse(await Helpers.Http.post(provider.url + '/statuses/update?trim_user=1',
+        Helpers.Form.urlencoded({ status: 'Hello, world! ☺' }), { auth: device.auth }));
+    assert.deepStrictEqual(response.form, { status: 'Hello, world! ☺' });
+    const last = provider.requests[provider.requests.length-1];
+    assert.strictEqual(last.oauth.oauth_token, 'access-token');
+
+    await assert.rejects(Helpers.Http.get(provider.url + '/profile', { auth: 'OAuth bogus' }), (err) => {
+        assert.strictEqual(err.status, 401);
+        return true;
+    });
+
+    assert.strictEqual(device.auth, device.auth);
+    device.state.accessToken = 'other-token';
+    assert.strictEqual(device.auth.token, 'other-token');
+}
+
+async function testRequestTokenError(provider) {
+    const runOAuth = Helpers.OAuth1({
+        kind: 'com.example.oauth1',
+        client_id: 'consumer-key',
+        client_secret: 'jebat', // rot13 of "wrong"
+        request_token: provider.url + '/request_token',
+        authorize: 'https://example.com/authorize',
+        get_access_token: provider.url + '/access_token'
+    });
+    const factory = { metadata: { kind: 'com.example.oauth1', auth: {} } };
+    await assert.rejects(runOAuth.call(factory, mockEngine, null), (err) => {
+        assert(err instanceof OAuthError);
+        assert.strictEqual(err.message, 'Invalid signature');
+        return true;
+    });
+
+    // the consumer key is required
+    const runOAuth2 = Helpers.OAuth1({
+        kind: 'com.example.oauth1',
+        request_token: provider.url + '/request_token',
+        authorize: 'https://example.com/authorize',
+        get_access_token: provider.url + '/access_token'
+    });
+    assert.throws(() => runOAuth2.call(factory, mockEngine, null), OAuthError);
+}
+
+async function testSignatureMethods(provider) {
+    const factory = { metadata: { kind: 'com.example.oauth1', auth: {} } };
+    const makeHelper = (signature_method) => Helpers.OAuth1({
+        kind: 'com.example.oauth1',
+        client_id: 'consumer-key',
+        client_secret: 'frperg',
+        request_token: provider.url + '/request_token',
+        authorize: 'https://example.com/authorize',
+        get_access_token: provider.url + '/access_token',
+        signature_method
+    });
+
+    const sha256 = makeHelper('HMAC-SHA256').getAuth(factory, 'access-token', 'access-secret');
+    assert.deepStrictEqual(JSON.parse(await Helpers.Http.get(provider.url + '/profile?a=1&b=%2B', { auth: sha256 })),
+        { id: 42, name: 'Bob', form: {} });
+    const last = provider.requests[provider.requests.length-1];
+    assert.strictEqual(last.oauth.oauth_signature_method, 'HMAC-SHA256');
+
+    // the plaintext signature is the concatenation of the secrets
+    const plaintext = makeHelper('PLAINTEXT').getAuth(factory, 'access-token', 'access-secret');
+    assert(plaintext.getAuthorization('GET', provider.url + '/profile').includes('oauth_signature="secret%26access-secret"'));
+
+    assert.throws(() => makeHelper('RSA-SHA1').getAuth(factory, 'access-token', 'access-secret'), OAuthError);
+}
+
+async function testTokenMiddleware(provider) {
+    // the token requests are made with Helpers.Http, so they go through the platform middleware
+    const urls = [];
+    const middleware = (request, next) => {
+        urls.push(request.method + ' ' + request.url);
+        return next();
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        const runOAuth = Helpers.OAuth1({
+            kind: 'com.example.oauth1',
+            client_id: 'consumer-key',
+            client_secret: 'frperg',
+            request_token: provider.url + '/request_token',
+            authorize: 'https://example.com/authorize',
+            get_access_token: provider.url + '/access_token',
+            callback(engine, accessToken, accessTokenSecret, extraData) {
+                return [accessToken, accessTokenSecret, extraData];
+            }
+        });
+        const factory = { metadata: { kind: 'com.example.oauth1', auth: {} } };
+        const [, session] = await runOAuth.call(factory, mockEngine, null);
+        const result = await runOAuth.call(factory, mockEngine, {
+            query: { oauth_token: 'request-token', oauth_verifier: 'the-verifier' },
+            session
+        });
+        assert.deepStrictEqual(result, ['access-token', 'access-secret', { screen_name: 'bob' }]);
+        assert.deepStrictEqual(urls, [
+            'POST ' + provider.url + '/request_token',
+            'POST ' + provider.url + '/access_token'
+        ]);
+    } finally {
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+}
+
+async function main() {
+    const provider = await startProvider();
+    try {
+        await testFlow(provider);
+        await testRequestTokenError(provider);
+        await testSignatureMethods(provider);
+        await testTokenMiddleware(provider);
+    } finally {
+        await provider.close();
+    }
+}
+module.exports = main;
+if (!module.parent)
+    main();
@@ -0,0 +1,667 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+const qs = require('querystring');
+const Url = require('url');
+const crypto = require('crypto');
+
+const Helpers = require('../lib/helpers');
+const BaseDevice = require('../lib/base_device');
+const { OAuthError } = require('../lib/errors');
+const ConfigMixins = require('../lib/config');
+const { mockEngine, mockPlatform, toClassDef } = require('./mock');
+
+// intercept requests to the token endpoint with a platform middleware
+async function withTokenEndpoint(handler, fn) {
+    const requests = [];
+    const middleware = async (request, next) => {
+        if (!request.url.startsWith('https://oauth.example.com/'))
+            return next();
+        const body = Object.assign({}, qs.parse(String(request.body)));
+        requests.push({ url: request.url, headers: request.headers, body });
+        return handler(request, body);
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        return await fn(requests);
+    } finally {
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+}
+
+function makeFactory() {
+    return {
+        metadata: { kind: 'com.example', auth: {} },
+        loadFromOAuth2(engine, accessToken, refreshToken, extraData) {
+            return { accessToken, refreshToken, extraData };
+        }
+    };
+}
+
+const PARAMS = {
+    authorize: 'https://oauth.example.com/authorize',
+    get_access_token: 'https://oauth.example.com/token',
+    client_id: 'client-id',
+    client_secret: 'frperg', // rot13 of "secret"
+    scope: ['read', 'write'],
+    set_state: true
+};
+
+async function testAuthorizationCode() {
+    const factory = makeFactory();
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+
+    const [redirect, session] = await runOAuth2.call(factory, mockEngine, null);
+    const parsed = Url.parse(redirect, true);
+    assert.strictEqual(parsed.protocol + '//' + parsed.host + parsed.pathname, 'https://oauth.example.com/authorize');
+    assert.strictEqual(parsed.query.client_id, 'client-id');
+    assert.strictEqual(parsed.query.response_type, 'code');
+    assert.strictEqual(parsed.query.scope, 'read write');
+    assert.strictEqual(parsed.query.redirect_uri, 'http://127.0.0.1:3000/devices/oauth2/callback/com.example');
+    assert.strictEqual(parsed.query.state, session['oauth2-state-com.example']);
+
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: 'access', refresh_token: 'refresh', expires_in: 3600 }));
+    }, async (requests) => {
+        const result = await runOAuth2.call(factory, mockEngine, {
+            query: { code: 'the-code', state: parsed.query.state },
+            session
+        });
+        assert.deepStrictEqual(result, {
+            accessToken: 'access',
+            refreshToken: 'refresh',
+            extraData: { access_token: 'access', expires_in: 3600 }
+        });
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].url, 'https://oauth.example.com/token');
+        assert.strictEqual(requests[0].headers['Content-Type'], 'application/x-www-form-urlencoded');
+        assert.deepStrictEqual(requests[0].body, {
+            client_id: 'client-id',
+            client_secret: 'secret',
+            grant_type: 'authorization_code',
+            code: 'the-code',
+            redirect_uri: 'http://127.0.0.1:3000/devices/oauth2/callback/com.example'
+        });
+    });
+}
+
+async function testInvalidState() {
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+    await assert.rejects(runOAuth2.call(makeFactory(), mockEngine, {
+        query: { code: 'the-code', state: 'wrong' },
+        session: { 'oauth2-state-com.example': 'right' }
+    }), OAuthError);
+}
+
+async function testTokenError() {
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(400, { 'Content-Type': 'application/json' },
+            JSON.stringify({ error: 'invalid_grant', error_description: 'The code has expired' }));
+    }, async () => {
+        await assert.rejects(runOAuth2.call(makeFactory(), mockEngine, {
+            query: { code: 'the-code' },
+            session: {}
+        }), (err) => {
+            assert(err instanceof OAuthError);
+            assert.strictEqual(err.message, 'The code has expired');
+            assert.strictEqual(err.code, 'invalid_grant');
+            return true;
+        });
+    });
+
+    // an error response that is not JSON is still reported as an OAuthError
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(502, { 'Content-Type': 'text/html' }, '<html>Bad Gateway</html>');
+    }, async () => {
+        await assert.rejects(runOAuth2.call(makeFactory(), mockEngine, {
+            query: { code: 'the-code' },
+            session: {}
+        }), (err) => {
+            assert(err instanceof OAuthError);
+            assert.strictEqual(err.code, undefined);
+            return true;
+        });
+    });
+}
+
+async function testBasicClientAuth() {
+    const runOAuth2 = Helpers.OAuth2(Object.assign({}, PARAMS, {
+        set_state: false,
+        use_basic_client_auth: true,
+        custom_headers: { 'X-Custom': 'custom' }
+    }));
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: 'access' }));
+    }, async (requests) => {
+        const result = await runOAuth2.call(makeFactory(), mockEngine, {
+            query: { code: 'the-code' },
+            session: {}
+        });
+        assert.strictEqual(result.accessToken, 'access');
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].headers['Authorization'], 'Basic ' + Buffer.from('client-id:secret').toString('base64'));
+        assert.strictEqual(requests[0].headers['X-Custom'], 'custom');
+        assert.strictEqual(requests[0].headers['Accept'], 'application/json');
+        assert.strictEqual(requests[0].body.code, 'the-code');
+    });
+}
+
+async function testFormEncodedResponse() {
+    const runOAuth2 = Helpers.OAuth2(Object.assign({}, PARAMS, { set_state: false }));
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/x-www-form-urlencoded' },
+            'access_token=access&token_type=bearer');
+    }, async () => {
+        const result = await runOAuth2.call(makeFactory(), mockEngine, {
+            query: { code: 'the-code' },
+            session: {}
+        });
+        assert.strictEqual(result.accessToken, 'access');
+        assert.strictEqual(result.refreshToken, undefined);
+        assert.strictEqual(result.extraData.token_type, 'bearer');
+    });
+}
+
+async function testRefresh() {
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+    const factory = makeFactory();
+    class Device {
+        constructor() {
+            this.engine = mockEngine;
+            this.state = { accessToken: 'old-access', refreshToken: 'refresh' };
+        }
+        updateOAuth2Token(accessToken, refreshToken, extraData) {
+            this.state.accessToken = accessToken;
+            if (refreshToken)
+                this.state.refreshToken = refreshToken;
+            this.extraData = extraData;
+        }
+    }
+    Device.metadata = factory.metadata;
+    runOAuth2.install(Device.prototype);
+
+    const device = new Device();
+    assert.strictEqual(device.queryInterface('oauth2'), device);
+    assert.strictEqual(device.accessToken, 'old-access');
+
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: 'new-access', expires_in: 3600 }));
+    }, async (requests) => {
+        await device.refreshCredentials();
+        assert.strictEqual(device.accessToken, 'new-access');
+        assert.strictEqual(device.refreshToken, 'refresh');
+
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].body.grant_type, 'refresh_token');
+        assert.strictEqual(requests[0].body.refresh_token, 'refresh');
+    });
+}
+
+async function testRefreshClientAuth() {
+    const params = Object.assign({}, PARAMS, {
+        use_basic_client_auth: true,
+        custom_headers: { 'X-Client': 'thingpedia' }
+    });
+    const runOAuth2 = Helpers.OAuth2(params);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    runOAuth2.install(Device.prototype);
+    const device = new Device(mockEngine, { kind: 'com.example', accessToken: 'old-access', refreshToken: 'refresh' });
+
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: 'new-access', expires_in: 3600 }));
+    }, async (requests) => {
+        // the refresh uses the same client authentication as the authorization code exchange
+        await device.refreshCredentials();
+        await runOAuth2.call(makeFactory(), mockEngine, { query: { code: 'the-code' }, session: {} });
+
+        assert.strictEqual(requests.length, 2);
+        for (let request of requests) {
+            assert.strictEqual(request.headers['Authorization'], 'Basic ' + Buffer.from('client-id:secret').toString('base64'));
+            assert.strictEqual(request.headers['X-Client'], 'thingpedia');
+        }
+        assert.strictEqual(requests[0].body.grant_type, 'refresh_token');
+        assert.strictEqual(requests[1].body.grant_type, 'authorization_code');
+    });
+    // the parameters are not modified
+    assert.deepStrictEqual(params.custom_headers, { 'X-Client': 'thingpedia' });
+}
+
+async function testPKCE() {
+    const classdef = toClassDef(`class @com.example {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2(client_id="client-id",
+            authorize="https://oauth.example.com/authorize",
+            get_access_token="https://oauth.example.com/token",
+            use_pkce=true);
+    }`);
+    class Device {
+        static loadFromOAuth2(engine, accessToken, refreshToken, extraData) {
+            return { accessToken, refreshToken, extraData };
+        }
+    }
+    Device.metadata = { kind: 'com.example', auth: {} };
+    ConfigMixins.get(classdef).install(Device);
+    const factory = Device;
+    assert.strictEqual(typeof factory.runOAuth2, 'function');
+
+    // no client secret is necessary
+    const [redirect, session] = await factory.runOAuth2(mockEngine, null);
+    const parsed = Url.parse(redirect, true);
+    const verifier = session['oauth2-code-verifier-com.example'];
+    assert(/^[A-Za-z0-9_-]{43,128}$/.test(verifier));
+    assert.strictEqual(parsed.query.code_challenge_method, 'S256');
+    assert.strictEqual(parsed.query.code_challenge,
+        crypto.createHash('sha256').update(verifier).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, ''));
+
+    // the verifier is different every time
+    const [, session2] = await factory.runOAuth2(mockEngine, null);
+    assert.notStrictEqual(session2['oauth2-code-verifier-com.example'], verifier);
+
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+            JSON.stringify({ access_token: 'access', refresh_token: 'refresh' }));
+    }, async (requests) => {
+        const result = await factory.runOAuth2(mockEngine, {
+            query: { code: 'the-code' },
+            session
+        });
+        assert.strictEqual(result.accessToken, 'access');
+        assert.deepStrictEqual(requests[0].body, {
+            client_id: 'client-id',
+            grant_type: 'authorization_code',
+            code: 'the-code',
+            redirect_uri: 'http://127.0.0.1:3000/devices/oauth2/callback/com.example',
+            code_verifier: verifier
+        });
+        // the verifier is single use
+        assert.strictEqual(session['oauth2-code-verifier-com.example'], undefined);
+
+        await assert.rejects(factory.runOAuth2(mockEngine, {
+            query: { code: 'the-code' },
+            session: {}
+        }), OAuthError);
+        assert.strictEqual(requests.length, 1);
+    });
+}
+
+async function testProactiveRefresh() {
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    runOAuth2.install(Device.prototype);
+
+    // the token expires in 30 seconds, which is too close to use it
+    const device = new Device(mockEngine, {
+        kind: 'com.example',
+        accessToken: 'old-access',
+        refreshToken: 'refresh',
+        accessTokenExpires: Date.now() + 30000
+    });
+    assert.strictEqual(device.accessTokenExpires, device.state.accessTokenExpires);
+
+    await withTokenEndpoint((request) => {
+        if (request.url === 'https://oauth.example.com/token') {
+            return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+                JSON.stringify({ access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 }));
+        }
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'text/plain' }, request.headers['Authorization']);
+    }, async (requests) => {
+        // concurrent requests share the same refresh
+        const responses = await Promise.all([1, 2, 3].map(() => {
+            return Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform });
+        }));
+        assert.deepStrictEqual(responses, ['Bearer new-access', 'Bearer new-access', 'Bearer new-access']);
+
+        const tokenRequests = requests.filter((r) => r.url === 'https://oauth.example.com/token');
+        assert.strictEqual(tokenRequests.length, 1);
+        assert.strictEqual(tokenRequests[0].body.refresh_token, 'refresh');
+        assert.strictEqual(device.state.refreshToken, 'new-refresh');
+        const expires = device.state.accessTokenExpires;
+        assert(expires > Date.now() + 3590000 && expires <= Date.now() + 3600000);
+
+        // the token is now valid, so it is used as is
+        assert.strictEqual(await Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform }),
+            'Bearer new-access');
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/token').length, 1);
+
+        // explicit refreshes are deduplicated too
+        const p1 = device.refreshCredentials();
+        const p2 = device.refreshCredentials();
+        assert.strictEqual(p1, p2);
+        await p1;
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/token').length, 2);
+    });
+
+    // without expires_in, the expiration is unknown
+    await device.updateOAuth2Token('other-access', undefined, {});
+    assert.strictEqual(device.state.accessTokenExpires, undefined);
+    assert.strictEqual(device.state.refreshToken, 'new-refresh');
+}
+
+async function testProactiveRefreshFailure() {
+    const runOAuth2 = Helpers.OAuth2(PARAMS);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    runOAuth2.install(Device.prototype);
+
+    let accept = true;
+    await withTokenEndpoint((request) => {
+        if (request.url === 'https://oauth.example.com/token') {
+            return Helpers.Http.createResponse(503, { 'Content-Type': 'application/json' },
+                JSON.stringify({ error: 'temporarily_unavailable' }));
+        }
+        if (!accept)
+            return Helpers.Http.createResponse(401, { 'Content-Type': 'text/plain' }, 'expired');
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'text/plain' }, request.headers['Authorization']);
+    }, async (requests) => {
+        // the token expires in 30 seconds, so it is still valid if the refresh fails
+        const device = new Device(mockEngine, {
+            kind: 'com.example',
+            accessToken: 'old-access',
+            refreshToken: 'refresh',
+            accessTokenExpires: Date.now() + 30000
+        });
+        assert.strictEqual(await Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform }),
+            'Bearer old-access');
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/token').length, 1);
+
+        // if the server rejects the token, the error is reported
+        accept = false;
+        await assert.rejects(Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform }), (e) => {
+            assert(e instanceof OAuthError);
+            assert.strictEqual(e.code, 'temporarily_unavailable');
+            return true;
+        });
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/token').length, 3);
+
+        // if the token has already expired, the error is reported immediately
+        accept = true;
+        const expired = new Device(mockEngine, {
+            kind: 'com.example',
+            accessToken: 'old-access',
+            refreshToken: 'refresh',
+            accessTokenExpires: Date.now() - 1000
+        });
+        await assert.rejects(Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: expired, platform: mockPlatform }), OAuthError);
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/token').length, 4);
+        assert.strictEqual(requests.filter((r) => r.url === 'https://oauth.example.com/api').length, 2);
+    });
+}
+
+async function testClientCredentials() {
+    const classdef = toClassDef(`class @com.example {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2_client_credentials(client_id="client-id",
+            client_secret="frperg",
+            get_access_token="https://oauth.example.com/token",
+            scope=["read", "write"]);
+    }`);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'none' }, params: {} };
+    ConfigMixins.get(classdef).install(Device);
+
+    // the device is configured without credentials, like a config.none() device
+    const device = new Device(mockEngine, { kind: 'com.example' });
+    assert.strictEqual(device.uniqueId, 'com.example');
+    assert.strictEqual(device.queryInterface('oauth2'), device);
+    assert.strictEqual(device.accessToken, undefined);
+
+    let tokenCount = 0;
+    await withTokenEndpoint((request) => {
+        if (request.url === 'https://oauth.example.com/token') {
+            tokenCount++;
+            return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' },
+                JSON.stringify({ access_token: 'access-' + tokenCount, token_type: 'Bearer', expires_in: 3600 }));
+        }
+        // the first token is revoked by the server
+        if (request.headers['Authorization'] === 'Bearer access-1' && request.url.endsWith('/revoked'))
+            return Helpers.Http.createResponse(401, { 'Content-Type': 'text/plain' }, 'invalid token');
+        return Helpers.Http.createResponse(200, { 'Content-Type': 'text/plain' }, request.headers['Authorization']);
+    }, async (requests) => {
+        // the first token is requested on demand, once for concurrent requests
+        const responses = await Promise.all([1, 2].map(() => {
+            return Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform });
+        }));
+        assert.deepStrictEqual(responses, ['Bearer access-1', 'Bearer access-1']);
+        assert.strictEqual(tokenCount, 1);
+        assert.deepStrictEqual(requests[0].body, {
+            client_id: 'client-id',
+            client_secret: 'secret',
+            grant_type: 'client_credentials',
+            scope: 'read write'
+        });
+        assert.strictEqual(device.state.accessToken, 'access-1');
+        assert(device.accessTokenExpires > Date.now() + 3590000);
+
+        // a rejected token is replaced
+        assert.strictEqual(await Helpers.Http.get('https://oauth.example.com/revoked', { useOAuth2: device, platform: mockPlatform }),
+            'Bearer access-2');
+        assert.strictEqual(tokenCount, 2);
+
+        // so is an expiring one
+        device.state.accessTokenExpires = Date.now() + 1000;
+        assert.strictEqual(await Helpers.Http.get('https://oauth.example.com/api', { useOAuth2: device, platform: mockPlatform }),
+            'Bearer access-3');
+        assert.strictEqual(tokenCount, 3);
+        assert.strictEqual(device.state.refreshToken, undefined);
+    });
+
+    // errors from the token endpoint are reported as OAuthError
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(401, { 'Content-Type': 'application/json' },
+            JSON.stringify({ error: 'invalid_client', error_description: 'Client authentication failed' }));
+    }, async () => {
+        await assert.rejects(device.refreshCredentials(), (e) => {
+            return e instanceof OAuthError && e.message === 'Client authentication failed';
+        });
+    });
+}
+
+async function testDeviceAuthorization() {
+    const classdef = toClassDef(`class @com.example {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2(client_id="client-id",
+            client_secret="frperg",
+            authorize="https://oauth.example.com/authorize",
+            get_access_token="https://oauth.example.com/token",
+            device_authorization="https://oauth.example.com/device",
+            scope=["read"]);
+    }`);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    ConfigMixins.get(classdef).install(Device);
+    assert.notStrictEqual(Device.loadInteractively, BaseDevice.loadInteractively);
+
+    const codes = [];
+    const delegate = {
+        async showDeviceCode(authorization) {
+            codes.push(authorization);
+        }
+    };
+
+    const tokenResponses = [
+        [400, { error: 'authorization_pending' }],
+        [400, { error: 'slow_down' }],
+        [200, { access_token: 'access', refresh_token: 'refresh', token_type: 'Bearer', expires_in: 3600 }],
+    ];
+    await withTokenEndpoint((request, body) => {
+        if (request.url === 'https://oauth.example.com/device') {
+            return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' }, JSON.stringify({
+                device_code: 'device-code',
+                user_code: 'ABCD-EFGH',
+                verification_uri: 'https://oauth.example.com/activate',
+                verification_uri_complete: 'https://oauth.example.com/activate?user_code=ABCD-EFGH',
+                expires_in: 60,
+                interval: 0
+            }));
+        }
+        const [status, response] = tokenResponses.shift();
+        return Helpers.Http.createResponse(status, { 'Content-Type': 'application/json' }, JSON.stringify(response));
+    }, async (requests) => {
+        const start = Date.now();
+        const device = await Device.loadInteractively(mockEngine, delegate);
+
+        assert.deepStrictEqual(codes, [{
+            verificationUri: 'https://oauth.example.com/activate',
+            verificationUriComplete: 'https://oauth.example.com/activate?user_code=ABCD-EFGH',
+            userCode: 'ABCD-EFGH',
+            expiresIn: 60
+        }]);
+        assert.deepStrictEqual(requests[0].body, { client_id: 'client-id', client_secret: 'secret', scope: 'read' });
+        assert.strictEqual(requests.length, 4);
+        for (let i = 1; i < 4; i++) {
+            assert.deepStrictEqual(requests[i].body, {
+                client_id: 'client-id',
+                client_secret: 'secret',
+                grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                device_code: 'device-code'
+            });
+        }
+        // slow_down increases the polling interval by 5 seconds
+        assert(Date.now() - start >= 5000);
+
+        assert(device instanceof Device);
+        assert.strictEqual(device.state.accessToken, 'access');
+        assert.strictEqual(device.state.refreshToken, 'refresh');
+    });
+
+    // delegates without showDeviceCode ask the user to answer when they are done
+    const questions = [];
+    const legacyDelegate = {
+        async configDone() {},
+        async requestCode(question) {
+            questions.push(question);
+            return '';
+        }
+    };
+
+    // the user can refuse
+    await withTokenEndpoint((request) => {
+        if (request.url === 'https://oauth.example.com/device') {
+            return Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' }, JSON.stringify({
+                device_code: 'device-code',
+                user_code: 'ABCD-EFGH',
+                verification_uri: 'https://oauth.example.com/activate',
+                interval: 0
+            }));
+        }
+        return Helpers.Http.createResponse(400, { 'Content-Type': 'application/json' },
+            JSON.stringify({ error: 'access_denied' }));
+    }, async () => {
+        await assert.rejects(Device.loadInteractively(mockEngine, legacyDelegate), (e) => {
+            return e instanceof OAuthError && e.code === 'access_denied';
+        });
+    });
+    assert.strictEqual(questions.length, 1);
+    assert(questions[0].includes('https://oauth.example.com/activate'));
+    assert(questions[0].includes('ABCD-EFGH'));
+}
+
+async function testRevoke() {
+    const classdef = toClassDef(`class @com.example {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2(client_id="client-id",
+            client_secret="frperg",
+            authorize="https://oauth.example.com/authorize",
+            get_access_token="https://oauth.example.com/token",
+            revoke="https://oauth.example.com/revoke");
+    }`);
+    let removed = 0;
+    class Device extends BaseDevice {
+        async remove() {
+            removed++;
+        }
+    }
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    ConfigMixins.get(classdef).install(Device);
+
+    const device = new Device(mockEngine, { kind: 'com.example', accessToken: 'access', refreshToken: 'refresh' });
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, {}, '');
+    }, async (requests) => {
+        await device.remove();
+        assert.deepStrictEqual(requests.map((r) => [r.url, r.body]), [
+            ['https://oauth.example.com/revoke', { client_id: 'client-id', client_secret: 'secret', token: 'refresh', token_type_hint: 'refresh_token' }],
+            ['https://oauth.example.com/revoke', { client_id: 'client-id', client_secret: 'secret', token: 'access', token_type_hint: 'access_token' }],
+        ]);
+        assert.strictEqual(removed, 1);
+    });
+
+    // failures are logged, but the device is removed anyway
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(503, { 'Content-Type': 'application/json' },
+            JSON.stringify({ error: 'unsupported_token_type' }));
+    }, async (requests) => {
+        await device.remove();
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(removed, 2);
+    });
+
+    // the revocation requests authenticate the client like the token requests
+    const runOAuth2 = Helpers.OAuth2(Object.assign({}, PARAMS, {
+        revoke: 'https://oauth.example.com/revoke',
+        use_basic_client_auth: true,
+        custom_headers: { 'X-Client': 'thingpedia' }
+    }));
+    class BasicDevice extends BaseDevice {}
+    BasicDevice.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    runOAuth2.install(BasicDevice.prototype);
+    const basicDevice = new BasicDevice(mockEngine, { kind: 'com.example', accessToken: 'access' });
+    await withTokenEndpoint(() => {
+        return Helpers.Http.createResponse(200, {}, '');
+    }, async (requests) => {
+        await basicDevice.remove();
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].headers['Authorization'], 'Basic ' + Buffer.from('client-id:secret').toString('base64'));
+        assert.strictEqual(requests[0].headers['X-Client'], 'thingpedia');
+        assert.strictEqual(requests[0].body.token, 'access');
+    });
+}
+
+async function main() {
+    await testAuthorizationCode();
+    await testInvalidState();
+    await testTokenError();
+    await testBasicClientAuth();
+    await testFormEncodedResponse();
+    await testRefresh();
+    await testRefreshClientAuth();
+    await testPKCE();
+    await testProactiveRefresh();
+    await testProactiveRefreshFailure();
+    await testClientCredentials();
+    await testDeviceAuthorization();
+    await testRevoke();
+}
+module.exports = main;
+if (!module.parent)
+    main();
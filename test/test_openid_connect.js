@@ -0,0 +1,259 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+const crypto = require('crypto');
+const qs = require('querystring');
+const Url = require('url');
+
+const Helpers = require('../lib/helpers');
+const BaseDevice = require('../lib/base_device');
+const ConfigMixins = require('../lib/config');
+const OpenID = require('../lib/helpers/openid_connect');
+const { OAuthError } = require('../lib/errors');
+const { mockEngine, mockPlatform, toClassDef } = require('./mock');
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// read one DER element, returning its content and the offset of the next element
+function readDer(buffer, offset = 0) {
+    let length = buffer[offset+1];
+    let pos = offset+2;
+    if (length & 0x80) {
+        const n = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < n; i++)
+            length = length * 256 + buffer[pos++];
+    }
+    return [buffer.slice(pos, pos+length), pos+length];
+}
+
+function unsigned(buffer, size) {
+    while (buffer.length > 1 && buffer[0] === 0)
+        buffer = buffer.slice(1);
+    if (size !== undefined && buffer.length < size)
+        buffer = Buffer.concat([Buffer.alloc(size - buffer.length), buffer]);
+    return buffer;
+}
+
+// generate a signing key, and its public part in JWK format
+//
+// (this does not use the JWK export of node, which is not available in all versions we support)
+function generateKey(alg, kid) {
+    if (alg.startsWith('ES')) {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+            namedCurve: 'prime256v1',
+            publicKeyEncoding: { type: 'spki', format: 'der' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        const point = publicKey.slice(publicKey.length - 64);
+        return { alg, privateKey, jwk: { kty: 'EC', crv: 'P-256', kid, use: 'sig',
+            x: base64url(point.slice(0, 32)), y: base64url(point.slice(32)) } };
+    } else {
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+            modulusLength: 2048,
+            publicKeyEncoding: { type: 'pkcs1', format: 'der' },
+            privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+        });
+        const [sequence] = readDer(publicKey);
+        const [n, next] = readDer(sequence);
+        const [e] = readDer(sequence, next);
+        return { alg, privateKey, jwk: { kty: 'RSA', kid, use: 'sig', n: base64url(unsigned(n)), e: base64url(unsigned(e)) } };
+    }
+}
+
+function sign(key, claims, header = {}) {
+    const input = base64url(JSON.stringify(Object.assign({ alg: key.alg, typ: 'JWT', kid: key.jwk.kid }, header))) + '.' +
+        base64url(JSON.stringify(claims));
+    let signature = crypto.createSign('sha256').update(input).sign(key.privateKey);
+    if (key.alg.startsWith('ES')) {
+        // convert from DER to the concatenation of r and s
+        const [sequence] = readDer(signature);
+        const [r, next] = readDer(sequence);
+        const [s] = readDer(sequence, next);
+        signature = Buffer.concat([unsigned(r, 32), unsigned(s, 32)]);
+    }
+    return input + '.' + base64url(signature);
+}
+
+// a minimal OpenID Connect provider, implemented as platform middleware
+async function withProvider(issuer, keys, fn) {
+    const requests = [];
+    const provider = {
+        keys,
+        tokenResponse: null,
+    };
+    const middleware = async (request, next) => {
+        if (!request.url.startsWith(issuer))
+            return next();
+        requests.push(request.url);
+
+        const path = request.url.substring(issuer.length);
+        const json = (data) => Helpers.Http.createResponse(200, { 'Content-Type': 'application/json' }, JSON.stringify(data));
+        switch (path) {
+        case '/.well-known/openid-configuration':
+            return json({
+                issuer,
+                authorization_endpoint: issuer + '/authorize',
+                token_endpoint: issuer + '/token',
+                jwks_uri: issuer + '/jwks'
+            });
+        case '/jwks':
+            return json({ keys: provider.keys.map((k) => k.jwk) });
+        case '/token':
+            provider.tokenRequest = qs.parse(String(request.body));
+            return json(provider.tokenResponse);
+        default:
+            return Helpers.Http.createResponse(404, {}, 'not found');
+        }
+    };
+    mockPlatform._httpMiddleware.push(middleware);
+    try {
+        return await fn(provider, requests);
+    } finally {
+        mockPlatform._httpMiddleware.splice(mockPlatform._httpMiddleware.indexOf(middleware), 1);
+    }
+}
+
+function makeClaims(issuer, extra) {
+    const now = Math.floor(Date.now() / 1000);
+    return Object.assign({ iss: issuer, aud: 'client-id', sub: 'user-1', iat: now, exp: now + 300 }, extra);
+}
+
+async function testDiscoveryCache() {
+    const issuer = 'https://discovery.example.com';
+    await withProvider(issuer, [], async (provider, requests) => {
+        const config = await OpenID.discover(mockPlatform, issuer);
+        assert.strictEqual(config.token_endpoint, issuer + '/token');
+        assert.strictEqual(await OpenID.discover(mockPlatform, issuer), config);
+        assert.deepStrictEqual(requests, [issuer + '/.well-known/openid-configuration']);
+    });
+
+    // the issuer in the document must match
+    await withProvider('https://other.example.com', [], async () => {
+        await assert.rejects(OpenID.discover(mockPlatform, 'https://other.example.com/'), OAuthError);
+    });
+}
+
+async function testVerifyIdToken() {
+    const issuer = 'https://verify.example.com';
+    const rsaKey = generateKey('RS256', 'rsa-1');
+    const ecKey = generateKey('ES256', 'ec-1');
+
+    await withProvider(issuer, [rsaKey, ecKey], async (provider, requests) => {
+        const options = { client_id: 'client-id', nonce: 'the-nonce' };
+        for (let key of [rsaKey, ecKey]) {
+            const claims = await OpenID.verifyIdToken(mockPlatform, issuer,
+                sign(key, makeClaims(issuer, { nonce: 'the-nonce', email: 'bob@example.com' })), options);
+            assert.strictEqual(claims.email, 'bob@example.com');
+        }
+        // the keys are fetched once
+        assert.strictEqual(requests.filter((r) => r.endsWith('/jwks')).length, 1);
+
+        const invalid = async (token, message) => {
+            await assert.rejects(OpenID.verifyIdToken(mockPlatform, issuer, token, options), (e) => {
+                return e instanceof OAuthError && e.message === 'Invalid ID token: ' + message;
+            });
+        };
+        await invalid(sign(rsaKey, makeClaims(issuer, { nonce: 'the-nonce', aud: 'someone-else' })), 'wrong audience');
+        await invalid(sign(rsaKey, makeClaims('https://evil.example.com', { nonce: 'the-nonce' })), 'wrong issuer');
+        await invalid(sign(rsaKey, makeClaims(issuer, { nonce: 'other-nonce' })), 'wrong nonce');
+        await invalid(sign(rsaKey, makeClaims(issuer, { nonce: 'the-nonce', exp: Math.floor(Date.now() / 1000) - 3600 })),
+            'the token is expired');
+        await invalid(sign(rsaKey, makeClaims(issuer, { nonce: 'the-nonce' }), { alg: 'none' }),
+            'unsupported algorithm none');
+
+        // a token signed with the wrong key, or tampered with
+        const forged = sign(rsaKey, makeClaims(issuer, { nonce: 'the-nonce' }), { kid: 'ec-1' });
+        await invalid(forged, 'signature verification failed');
+        const [header, , signature] = sign(rsaKey, makeClaims(issuer, { nonce: 'the-nonce' })).split('.');
+        await invalid([header, base64url(JSON.stringify(makeClaims(issuer, { nonce: 'the-nonce', sub: 'admin' }))), signature].join('.'),
+            'signature verification failed');
+
+        // keys that are rotated are fetched again
+        const newKey = generateKey('RS256', 'rsa-2');
+        provider.keys = [newKey];
+        await OpenID.verifyIdToken(mockPlatform, issuer, sign(newKey, makeClaims(issuer, { nonce: 'the-nonce' })), options);
+        assert.strictEqual(requests.filter((r) => r.endsWith('/jwks')).length, 2);
+    });
+}
+
+async function testConfigMixin() {
+    const issuer = 'https://accounts.example.com';
+    const key = generateKey('RS256', 'key-1');
+
+    const classdef = toClassDef(`class @com.example {
+        import loader from @org.thingpedia.v2();
+        import config from @org.thingpedia.config.oauth2(client_id="client-id",
+            client_secret="frperg",
+            issuer="${issuer}",
+            scope=["email"],
+            profile=["email", "name"]);
+    }`);
+    class Device extends BaseDevice {}
+    Device.metadata = { kind: 'com.example', auth: { type: 'oauth2' }, params: {} };
+    ConfigMixins.get(classdef).install(Device);
+
+    await withProvider(issuer, [key], async (provider, requests) => {
+        // the endpoints are discovered
+        const [redirect, session] = await Device.loadFromCustomOAuth(mockEngine);
+        const parsed = Url.parse(redirect, true);
+        assert.strictEqual(parsed.protocol + '//' + parsed.host + parsed.pathname, issuer + '/authorize');
+        assert.strictEqual(parsed.query.scope, 'openid email');
+        const nonce = session['oauth2-nonce-com.example'];
+        assert.strictEqual(parsed.query.nonce, nonce);
+
+        provider.tokenResponse = {
+            access_token: 'access',
+            refresh_token: 'refresh',
+            token_type: 'Bearer',
+            id_token: sign(key, makeClaims(issuer, { nonce, email: 'bob@example.com', name: 'Bob' }))
+        };
+        const device = await Device.completeCustomOAuth(mockEngine, '/devices/oauth2/callback/com.example?code=the-code',
+            Object.assign({}, session));
+        assert.strictEqual(provider.tokenRequest.code, 'the-code');
+        assert(device instanceof Device);
+        assert.strictEqual(device.state.accessToken, 'access');
+        assert.strictEqual(device.state.email, 'bob@example.com');
+        assert.strictEqual(device.state.name, 'Bob');
+        assert.strictEqual(device.state.id_token_claims, undefined);
+        // the profile comes from the ID token, without a userinfo request
+        assert.deepStrictEqual(requests.map((r) => r.substring(issuer.length)),
+            ['/.well-known/openid-configuration', '/token', '/jwks']);
+
+        // an ID token for a different request is rejected
+        provider.tokenResponse.id_token = sign(key, makeClaims(issuer, { nonce: 'replayed' }));
+        await assert.rejects(Device.completeCustomOAuth(mockEngine, '/devices/oauth2/callback/com.example?code=the-code',
+            Object.assign({}, session)), OAuthError);
+    });
+}
+
+async function main() {
+    await testDiscoveryCache();
+    await testVerifyIdToken();
+    await testConfigMixin();
+}
+module.exports = main;
+if (!module.parent) main();
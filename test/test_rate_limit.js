@@ -0,0 +1,112 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+require('./assert_rejects');
+
+const assert = require('assert');
+
+const RateLimiter = require('../lib/helpers/rate_limit');
+const { TimeoutError } = require('../lib/errors');
+
+async function testBurst() {
+    const limiter = new RateLimiter({ requests: 2, interval: 200 });
+
+    const start = Date.now();
+    await limiter.acquire();
+    await limiter.acquire();
+    assert(Date.now() - start < 50);
+
+    // the third request must wait for a token to be refilled
+    await limiter.acquire();
+    assert(Date.now() - start >= 90);
+}
+
+async function testQueue() {
+    const limiter = new RateLimiter({ requests: 1, interval: 100 });
+
+    const start = Date.now();
+    const completed = [];
+    await Promise.all([0, 1, 2, 3].map((i) => limiter.acquire().then(() => {
+        completed.push([i, Date.now() - start]);
+    })));
+
+    // requests complete in order, spaced by the interval
+    assert.deepStrictEqual(completed.map(([i,]) => i), [0, 1, 2, 3]);
+    assert(completed[3][1] >= 290);
+}
+
+async function testMaxWait() {
+    const limiter = new RateLimiter({ requests: 1, interval: 1000, maxWait: 500 });
+
+    await limiter.acquire();
+    await assert.rejects(limiter.acquire(), TimeoutError);
+
+    // a rejected request does not consume a token
+    const start = Date.now();
+    await limiter.acquire(2000);
+    assert(Date.now() - start < 1500);
+}
+
+async function testCancel() {
+    const limiter = new RateLimiter({ requests: 1, interval: 1000 });
+
+    await limiter.acquire();
+    let cancel;
+    const cancelled = new Promise((resolve, reject) => {
+        cancel = reject;
+    });
+    const queued = limiter.acquire(undefined, cancelled);
+    const error = new Error('cancelled');
+    cancel(error);
+    await assert.rejects(queued, (err) => err === error);
+
+    // the cancelled request gives its slot back, so the next one only waits
+    // for the first token
+    const start = Date.now();
+    await limiter.acquire();
+    assert(Date.now() - start < 1500);
+}
+
+async function testShared() {
+    const limiter1 = RateLimiter.get('test:shared', { requests: 5 });
+    const limiter2 = RateLimiter.get('test:shared', { requests: 10 });
+    assert.strictEqual(limiter1, limiter2);
+    assert.strictEqual(limiter2.requests, 5);
+
+    assert.notStrictEqual(RateLimiter.get('test:other', { requests: 5 }), limiter1);
+}
+
+function testInvalid() {
+    assert.throws(() => new RateLimiter({ requests: 0 }), TypeError);
+    assert.throws(() => new RateLimiter({}), TypeError);
+}
+
+async function main() {
+    await testBurst();
+    await testQueue();
+    await testMaxWait();
+    await testCancel();
+    await testShared();
+    testInvalid();
+}
+module.exports = main;
+if (!module.parent)
+    main();
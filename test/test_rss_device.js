@@ -21,14 +21,20 @@
 "use strict";
 
 const assert = require('assert');
+const path = require('path');
 
 const { toClassDef, mockClient, mockPlatform, mockEngine, State } = require('./mock');
 const { ImplementationError } = require('../lib/errors');
+const Helpers = require('../lib/helpers');
 const BaseDevice = require('../lib/base_device');
 
 const Modules = require('../lib/loaders');
 const ModuleDownloader = require('../lib/downloader');
 
+// requests to lorem-rss are replayed from a fixture file; set RECORD_FIXTURES=1
+// to send them to the real service and update the fixtures
+const FIXTURE_MODE = process.env.RECORD_FIXTURES ? 'record' : 'replay';
+
 async function testBasic() {
     const metadata = toClassDef(await mockClient.getDeviceCode('com.herokuapp.lorem-rss'));
 
@@ -46,15 +52,16 @@ async function testBasic() {
 
     const instance = new factory(mockEngine, {});
 
-    const twenty_minutes_ago = new Date;
-    twenty_minutes_ago.setTime(twenty_minutes_ago.getTime() - 20*60*1000);
-    for (let item of await instance.get_feed({})) {
+    // the feed has one item per minute, newest first
+    const feed = await instance.get_feed({});
+    assert.strictEqual(feed.length, 10);
+    feed.forEach((item, i) => {
         assert(item.updated_time instanceof Date);
-        assert(+item.updated_time >= +twenty_minutes_ago);
+        assert.strictEqual(+item.updated_time, +feed[0].updated_time - i*60*1000);
         assert(item.title.startsWith('Lorem ipsum '));
         assert(!!item.description);
         assert(item.link.startsWith('http://example.com'));
-    }
+    });
 
     await new Promise((resolve, reject) => {
         let finished = false;
@@ -91,10 +98,12 @@ async function testBasic() {
     assert.strictEqual(typeof factory.prototype.subscribe_feed_nomonitor, 'function');
     assert.throws(() => instance.subscribe_feed_nomonitor({}, new State));
 
-    const currentYear = (new Date).getUTCFullYear();
-    // don't run this too close to midnight jan 1st...
-    (await instance.get_feed_input({ unit: 'year' })).forEach((item, i) => {
-        const i_years_ago = new Date(`${currentYear-i}-01-01T00:00:00.000Z`);
+    // one item per year, on jan 1st
+    const yearly = await instance.get_feed_input({ unit: 'year' });
+    assert.strictEqual(yearly.length, 10);
+    const newestYear = yearly[0].updated_time.getUTCFullYear();
+    yearly.forEach((item, i) => {
+        const i_years_ago = new Date(`${newestYear-i}-01-01T00:00:00.000Z`);
         assert(item.updated_time instanceof Date);
         assert(+item.updated_time === +i_years_ago);
         assert(item.title.startsWith('Lorem ipsum '));
@@ -120,7 +129,14 @@ async function testBroken() {
 }
 
 async function main() {
-    await testBasic();
+    const fixtures = new Helpers.HttpFixtures(path.resolve(path.dirname(module.filename), './data/http-fixtures/rss_device.json'),
+                                              { mode: FIXTURE_MODE });
+    await fixtures.install();
+    try {
+        await testBasic();
+    } finally {
+        await fixtures.uninstall();
+    }
     await testBroken();
 }
 
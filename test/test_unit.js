@@ -24,6 +24,7 @@ const TT = require('thingtalk');
 const assert = require('assert');
 
 const Utils = require('../lib/utils');
+const HttpCache = require('../lib/helpers/http_cache');
 
 const PROPCHAIN_TEST_CASES = [
     // simple
@@ -253,6 +254,80 @@ function testParseGenericResponse() {
     });
 }
 
+function testGetRateLimit() {
+    const classdef = TT.Grammar.parse(`class @com.foo #[rate_limit={requests=10, interval=1min}] {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+
+        query class_limit(out text: String) #[url="https://example.com/class"];
+        query kind_limit(out text: String) #[url="https://example.com/kind"] #[rate_limit={requests=1, scope="kind"}];
+        query key_limit(out text: String) #[url="https://example.com/key"] #[rate_limit={requests=1, key="my-app", max_wait=5s}];
+        query invalid(out text: String) #[url="https://example.com/invalid"] #[rate_limit={requests=0}];
+    }`).classes[0];
+
+    assert.deepStrictEqual(Utils.getRateLimit(classdef, classdef.queries.class_limit), {
+        key: undefined,
+        requests: 10,
+        interval: 60000,
+        burst: undefined,
+        maxWait: undefined
+    });
+    assert.strictEqual(Utils.getRateLimit(classdef, classdef.queries.kind_limit).key, 'kind:com.foo');
+    assert.deepStrictEqual(Utils.getRateLimit(classdef, classdef.queries.key_limit), {
+        key: 'key:my-app',
+        requests: 1,
+        interval: undefined,
+        burst: undefined,
+        maxWait: 5000
+    });
+    assert.throws(() => Utils.getRateLimit(classdef, classdef.queries.invalid));
+}
+
+function testGetHttpCache() {
+    const parse = (annotation) => TT.Grammar.parse(`class @com.foo ${annotation} {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+    }`).classes[0];
+
+    assert.strictEqual(Utils.getHttpCache(parse('')), 'memory');
+    assert.strictEqual(Utils.getHttpCache(parse('#[http_cache="disk"]')), 'disk');
+    assert.strictEqual(Utils.getHttpCache(parse('#[http_cache="none"]')), 'none');
+    assert.throws(() => Utils.getHttpCache(parse('#[http_cache="redis"]')));
+
+    const platform = { getCacheDir() { return '/tmp/platform-cache'; } };
+    assert.strictEqual(Utils.getCacheStore('memory', platform), true);
+    assert.strictEqual(Utils.getCacheStore('none', platform), false);
+    assert.strictEqual(Utils.getCacheStore('disk', platform), HttpCache.getPlatformStore(platform));
+    assert.strictEqual(Utils.getCacheStore('disk', null), true);
+}
+
+function testGetPagination() {
+    const classdef = TT.Grammar.parse(`class @com.foo {
+        import loader from @org.thingpedia.generic_rest.v1();
+        import config from @org.thingpedia.config.none();
+
+        list query none(out text: String) #[url="https://example.com/none"];
+        list query link(out text: String) #[url="https://example.com/link"] #[pagination={style="link"}];
+        list query cursor(out text: String) #[url="https://example.com/cursor"] #[json_key="data"]
+            #[pagination={style="cursor", next_cursor="meta.next", cursor_param="after", page_size=50, page_size_param="limit"}];
+        list query invalid(out text: String) #[url="https://example.com/invalid"] #[pagination={style="token"}];
+    }`).classes[0];
+
+    assert.strictEqual(Utils.getPagination(classdef.queries.none), null);
+    assert.strictEqual(Utils.getPagination(classdef.queries.link).pagination, 'link');
+    assert.deepStrictEqual(Utils.getPagination(classdef.queries.cursor), {
+        pagination: 'cursor',
+        items: 'data',
+        nextCursor: 'meta.next',
+        cursorParam: 'after',
+        pageParam: undefined,
+        firstPage: undefined,
+        pageSize: 50,
+        pageSizeParam: 'limit'
+    });
+    assert.throws(() => Utils.getPagination(classdef.queries.invalid));
+}
+
 async function main() {
     console.log('testPropchain');
     testpropchain();
@@ -260,6 +335,12 @@ async function main() {
     testFormatString();
     console.log('testParseGenericResponse');
     testParseGenericResponse();
+    console.log('testGetRateLimit');
+    testGetRateLimit();
+    console.log('testGetHttpCache');
+    testGetHttpCache();
+    console.log('testGetPagination');
+    testGetPagination();
 }
 module.exports = main;
 if (!module.parent)
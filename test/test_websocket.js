@@ -0,0 +1,198 @@
+// -*- mode: js; indent-tabs-mode: nil; js-basic-offset: 4 -*-
+//
+// This file is part of Thingpedia
+//
+// Copyright 2020 The Board of Trustees of the Leland Stanford Junior University
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//    http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+//
+// Author: Giovanni Campagna <gcampagn@cs.stanford.edu>
+"use strict";
+
+const assert = require('assert');
+const http = require('http');
+const WS = require('ws');
+
+const Helpers = require('../lib/helpers');
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function once(emitter, event) {
+    return new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+}
+
+async function startServer(verifyClient) {
+    const server = http.createServer();
+    const wss = new WS.Server({ server, verifyClient });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `ws://127.0.0.1:${server.address().port}/push`,
+        wss,
+        close() {
+            for (let client of wss.clients)
+                client.terminate();
+            wss.close();
+            return new Promise((resolve) => server.close(resolve));
+        }
+    };
+}
+
+async function testStream() {
+    const server = await startServer();
+    const received = [];
+    server.wss.on('connection', (socket) => {
+        socket.on('message', (msg) => {
+            received.push(JSON.parse(msg));
+            socket.send(JSON.stringify({ reply: received.length }));
+        });
+    });
+
+    const ws = new Helpers.WebSocket(server.url, { json: true, minDelay: 20, pingInterval: 0 });
+    let opened = 0;
+    ws.on('open', () => {
+        opened++;
+        // subscribe again on every connection
+        ws.send({ subscribe: opened });
+    });
+
+    try {
+        const output = ws.createStream((msg) => msg.reply === 2 ? null : msg);
+        const items = [];
+        output.on('data', (item) => items.push(item));
+
+        await once(ws, 'open');
+        await delay(100);
+        assert.strictEqual(opened, 1);
+        assert.deepStrictEqual(received, [{ subscribe: 1 }]);
+        assert.strictEqual(items.length, 1);
+        assert.strictEqual(items[0].reply, 1);
+        assert.strictEqual(typeof items[0].__timestamp, 'number');
+
+        // drop the connection from the server side
+        const reconnecting = once(ws, 'reconnecting');
+        for (let client of server.wss.clients)
+            client.terminate();
+        const [error, retryDelay] = await reconnecting;
+        assert(error instanceof Error);
+        assert.strictEqual(retryDelay, 20);
+        await once(ws, 'open');
+        await delay(100);
+        assert.strictEqual(opened, 2);
+        assert.deepStrictEqual(received, [{ subscribe: 1 }, { subscribe: 2 }]);
+        // the second reply was filtered out by the parse function
+        assert.strictEqual(items.length, 1);
+
+        ws.send({ hello: 'world' });
+        await delay(100);
+        assert.strictEqual(items.length, 2);
+        assert.strictEqual(items[1].reply, 3);
+
+        // destroying the stream releases the connection
+        const closed = once(server.wss.clients.values().next().value, 'close');
+        output.destroy();
+        await closed;
+        await delay(50);
+        assert(!ws.connected);
+        assert.strictEqual(opened, 2);
+        assert.throws(() => ws.send('foo'));
+    } finally {
+        await server.close();
+    }
+}
+
+async function testOAuth2() {
+    const server = await startServer((info) => info.req.headers.authorization === 'Bearer new-token');
+    const device = {
+        accessToken: 'old-token',
+        refreshToken: 'refresh-token',
+        refreshed: 0,
+        async refreshCredentials() {
+            this.refreshed++;
+            this.accessToken = 'new-token';
+        }
+    };
+
+    const ws = new Helpers.WebSocket(server.url, { useOAuth2: device, minDelay: 5000, pingInterval: 0 });
+    try {
+        let reconnecting = 0;
+        ws.on('reconnecting', () => reconnecting++);
+        // the first attempt fails, then the credentials are refreshed and
+        // the connection is retried immediately
+        const opened = once(ws, 'open');
+        await ws.open();
+        await opened;
+        assert.strictEqual(reconnecting, 0);
+        await delay(50);
+        assert(ws.connected);
+        assert.strictEqual(device.refreshed, 1);
+        await ws.close();
+    } finally {
+        await server.close();
+    }
+
+    // without a refresh token, rejected connections are retried with backoff
+    const server2 = await startServer(() => false);
+    const ws2 = new Helpers.WebSocket(server2.url, { auth: 'Bearer foo', minDelay: 10, pingInterval: 0 });
+    try {
+        const reconnecting = once(ws2, 'reconnecting');
+        await ws2.open();
+        const [error, retryDelay] = await reconnecting;
+        assert.strictEqual(error.name, 'HttpError');
+        assert.strictEqual(error.status, 401);
+        assert.strictEqual(retryDelay, 10);
+        const [, retryDelay2] = await once(ws2, 'reconnecting');
+        assert.strictEqual(retryDelay2, 20);
+        await ws2.close();
+    } finally {
+        await server2.close();
+    }
+}
+
+async function testKeepalive() {
+    const server = await startServer();
+    let connections = 0;
+    server.wss.on('connection', (socket) => {
+        connections++;
+        // stop reading on the first connection, so pings are never answered
+        if (connections === 1)
+            socket._socket.pause();
+    });
+
+    const ws = new Helpers.WebSocket(server.url, { pingInterval: 50, minDelay: 10 });
+    try {
+        await ws.open();
+        assert(ws.connected);
+        await once(ws, 'reconnecting');
+        await once(ws, 'open');
+        assert.strictEqual(connections, 2);
+
+        // the second connection answers pings, so it stays open
+        await delay(300);
+        assert(ws.connected);
+        assert.strictEqual(connections, 2);
+        await ws.close();
+    } finally {
+        await server.close();
+    }
+}
+
+async function main() {
+    await testStream();
+    await testOAuth2();
+    await testKeepalive();
+}
+module.exports = main;
+if (!module.parent)
+    main();